@@ -14,12 +14,12 @@ let chicagoDistricts = null;
 let allDistricts = []; // Combined district data
 
 // Store references to our Leaflet layers
-let surveyLayer = null; // This will be the layer we add/remove
-let baseSurveyLayer = null; // The original, full data
+let surveyLayer = null; // One persistent layer of building paths, restyled by updateSurveyLayer
 let nationalDistrictsLayer = null;
 let chicagoDistrictsLayer = null;
 let selectedDistrictLayer = null;
 let selectedBuildingLayer = null;
+let hoverOutlineLayer = null; // Outline under the pointer (see showHoverOutline)
 let highlightLayer = null;
 let locationMarker = null; // For the "you are here" dot
 
@@ -28,19 +28,36 @@ let districtFeatureMap = {};
 // When set to a district NAME, the app is 'locked' to that district view
 // and should continue showing the district boundary and only its houses.
 let activeDistrictContext = null;
-// Reverse index: BLDG_ID -> district NAME (for O(1) lookup)
-let bldgIdToDistrict = {};
+// Reverse index: BLDG_ID -> array of district NAMEs (for O(1) lookup).
+// Districts overlap, so a building can belong to several.
+let bldgIdToDistricts = {};
+// Building lookups built once after data load (see buildBuildingIndex)
+let buildingsById = new Map(); // BLDG_ID (string) -> survey feature
+let buildingsByPin = new Map(); // normalized PIN -> array of survey features
+let buildingsByAddressSlug = new Map(); // addressSlug(formatAddress) -> array of survey features
+let searchIndex = null; // Omnisearch index, see buildSearchIndex
+let surveyPaths = []; // every survey path, shown or not
+let surveyLayersById = new Map(); // BLDG_ID (string) -> path currently shown in surveyLayer
+// Arguments of the last updateSurveyLayer call, and the legend classes
+// hidden under them (cleared whenever the mode or filter changes)
+let surveyLayerMode = 'default';
+let surveyLayerFilterValue = null;
+let surveyLegendHidden = new Set();
+// Grid indexes for viewport queries (see buildSpatialIndexes)
+let surveySpatialIndex = null; // survey features by _centroid
+let districtSpatialIndex = null; // district features by bounding box
 let highlightOrigin = null;
 let highlightControlButton = null;
 let highlightFeatureCache = {};
-let lastListHash = ''; // Track the last list view for navigation
 
-// Lightweight performance counters for heavy Turf operations. Exposed via
-// `window.getPerfStats()` so you can inspect counts and cumulative time.
+// Lightweight performance counters for heavy Turf operations and survey
+// layer restyles. Exposed via `window.getPerfStats()` so you can inspect
+// counts and cumulative time.
 const perfStats = {
     centroidCalls: 0, centroidTime: 0,
     booleanCalls: 0, booleanTime: 0,
-    diffCalls: 0, diffTime: 0
+    diffCalls: 0, diffTime: 0,
+    surveyLayerCalls: 0, surveyLayerTime: 0
 };
 perfStats._lastStoreTime = 0;
 
@@ -89,7 +106,7 @@ function iDifference(a, b) {
 
 // Expose a helper to inspect perf stats in the console
 window.getPerfStats = function () { return Object.assign({}, perfStats); };
-window.resetPerfStats = function () { perfStats.centroidCalls = 0; perfStats.centroidTime = 0; perfStats.booleanCalls = 0; perfStats.booleanTime = 0; perfStats.diffCalls = 0; perfStats.diffTime = 0; };
+window.resetPerfStats = function () { perfStats.centroidCalls = 0; perfStats.centroidTime = 0; perfStats.booleanCalls = 0; perfStats.booleanTime = 0; perfStats.diffCalls = 0; perfStats.diffTime = 0; perfStats.surveyLayerCalls = 0; perfStats.surveyLayerTime = 0; };
 
 function maybePersistPerfStats() {
     try {
@@ -103,7 +120,9 @@ function maybePersistPerfStats() {
                 booleanCalls: perfStats.booleanCalls,
                 booleanTime: perfStats.booleanTime,
                 diffCalls: perfStats.diffCalls,
-                diffTime: perfStats.diffTime
+                diffTime: perfStats.diffTime,
+                surveyLayerCalls: perfStats.surveyLayerCalls,
+                surveyLayerTime: perfStats.surveyLayerTime
             };
             try { localStorage.setItem('ridge_perf_stats', JSON.stringify(snap)); } catch (e) { /* ignore storage errors */ }
             perfStats._lastStoreTime = now;
@@ -124,7 +143,7 @@ let mapMoveTimer = null;
 // Tracks the "Follow map" toggle state
 let isMapFollowEnabled = false; // State for "Follow map" toggle
 let currentNavigationList = []; // Stores the current list of features for next/prev navigation
-let savedScrollPositions = {}; // Stores scroll positions for list panels by route hash
+let currentNavigationPositions = new Map(); // BLDG_ID (string) -> index in currentNavigationList
 let cachedImageDimensions = null; // Caches property image dimensions to prevent content jumping
 // Tracks the location button state
 let locationMode = 'off'; // 'off', 'following', 'error'
@@ -135,8 +154,9 @@ let appContainer, bottomSheet, sheetContent, sheetHandle, searchInput,
 
 // Loading flag
 let isDataLoaded = false;
-let currentDropdownResults = []; // For "Enter" key logic
-let appHistory = []; // For custom history tracking
+let currentHistoryEntry = null; // State of the history entry the router last handled (see createHistoryEntry)
+let historyEntryCounter = 0;
+let scrollSaveTimer = null;
 
 // Google Analytics / GTM tracking helper
 function trackEvent(eventName, eventParams = {}) {
@@ -149,14 +169,10 @@ function trackEvent(eventName, eventParams = {}) {
 }
 
 
-// This is the config object you can edit
-const districtConfig = {
-    "Ridge Historic District": { color: "#E63946" }, // Red
-    "Brainerd Bungalow Historic District": { color: "#F4A261" }, // Orange
-    "Walter Burley Griffin Place": { color: "#457B9D" }, // Blue
-    "Longwood Drive": { color: "#6A4C93" }, // Purple
-    "Beverly/Morgan Park Railroad Station": { color: "#4CB944" } // Green
-};
+// District registry loaded from districts.json (see loadDistrictRegistry).
+// Keyed by the district NAME used in the boundary files; each entry has
+// color, flagColumn, contributingColumn, jumpBar and info { title, body }.
+let districtRegistry = {};
 
 // Fallback palette for any districts not in the config
 const districtFallbackPalette = [
@@ -167,6 +183,19 @@ const districtFallbackPalette = [
 // property overlay is open. Tune this value to tweak the visual center.
 const RIGHT_PANEL_OFFSET_MULTIPLIER = 1.05;
 
+// GeoJSON sources loaded at startup (see loadDataSources / survey_worker.js)
+const DATA_SOURCES = {
+    survey: 'survey_refactor1_filtered.geojson',
+    national: 'national_districts.geojson',
+    chicago: 'chicago_districts.geojson',
+    districtRegistry: 'districts.json'
+};
+
+// Map view suffix carried on the hash, e.g.
+// #survey/color/Red@41.71234,-87.67890,16z,follow,hl=survey%2Fcolor%3ARed
+// (see parseMapViewSuffix / updateUrlMapView)
+const MAP_VIEW_SUFFIX_RE = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(\d+(?:\.\d+)?)z((?:,[^,@]*)*)$/;
+
 // Load building styles
 fetch('building_styles.json')
     .then(response => response.json())
@@ -180,14 +209,65 @@ const map = L.map('map', {
     zoomControl: false,
     scrollWheelZoom: true,
     tap: false // Fix for mobile tap issues
-}).setView([41.71, -87.67], 13);
+});
+// Open shared links at their saved view rather than flying there after load
+const initialMapView = parseMapViewSuffix(window.location.hash).view;
+if (initialMapView) {
+    map.setView([initialMapView.lat, initialMapView.lng], initialMapView.zoom);
+} else {
+    map.setView([41.71, -87.67], 13);
+}
 
 L.control.zoom({ position: 'topright' }).addTo(map);
 
-L.tileLayer('https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png', {
-    attribution: '© <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors — Humanitarian style by HOT',
-    maxZoom: 19
-}).addTo(map);
+// Basemap choices for BasemapControl. The historic overlay is a slot for
+// georeferenced maps (Sanborn sheets, plat maps) cut into XYZ tiles and
+// kept in the repo under tiles/historic/ (see the README there).
+const BASEMAPS = {
+    hot: {
+        label: 'Humanitarian',
+        url: 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
+        options: {
+            attribution: '© <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors — Humanitarian style by HOT',
+            maxZoom: 19
+        }
+    },
+    light: {
+        label: 'Plain light',
+        url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        options: {
+            attribution: '© <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors © <a href="https://carto.com/attributions">CARTO</a>',
+            subdomains: 'abcd',
+            maxZoom: 20
+        }
+    }
+};
+// No sheet has been tiled yet (see tiles/historic/README.md); the control
+// leaves the option out until `available` is set to true.
+const HISTORIC_OVERLAY = {
+    label: 'Historic map',
+    available: false,
+    url: 'tiles/historic/{z}/{x}/{y}.png',
+    options: {
+        attribution: '',
+        minZoom: 12,
+        maxNativeZoom: 19,
+        maxZoom: 20,
+        pane: 'historicOverlayPane'
+    }
+};
+const BASEMAP_STORAGE_KEY = 'ridge_basemap';
+
+// Historic overlay sits over the basemap and under everything we draw
+map.createPane('historicOverlayPane');
+map.getPane('historicOverlayPane').style.zIndex = 300;
+
+let basemapLayer = null;
+let historicOverlayLayer = null;
+let basemapSettings = loadBasemapSettings();
+setBasemap(basemapSettings.basemap);
+if (basemapSettings.overlay) setHistoricOverlay(true);
+addBasemapControl();
 
 // Create panes for layer ordering
 map.createPane('nationalDistrictPane');
@@ -240,87 +320,61 @@ function initializeApp() {
 
 /**
  * Loads all GeoJSON files and adds them to the map as Leaflet layers.
+ * Parsing, pre-processing and district indexing run in survey_worker.js
+ * when possible so the UI stays responsive while the data loads.
  */
 async function loadDataSources() {
     try {
-        const [surveyRes, nationalRes, chicagoRes] = await Promise.all([
-            fetch('survey_refactor1_filtered.geojson'),
-            fetch('national_districts.geojson'),
-            fetch('chicago_districts.geojson')
-        ]);
+        const registryLoad = loadDistrictRegistry();
+        let loaded;
+        try {
+            loaded = await loadDataInWorker();
+        } catch (workerErr) {
+            console.warn('Survey worker unavailable, loading data on the main thread.', workerErr && workerErr.message ? workerErr.message : workerErr);
+            loaded = await loadDataOnMainThread();
+        }
+        await registryLoad;
 
-        surveyData = await surveyRes.json();
-        nationalDistricts = await nationalRes.json();
-        chicagoDistricts = await chicagoRes.json();
+        surveyData = loaded.surveyData;
+        nationalDistricts = loaded.nationalDistricts;
+        chicagoDistricts = loaded.chicagoDistricts;
 
         // REMOVE subtraction logic: just combine all districts as-is
         allDistricts = [...nationalDistricts.features, ...chicagoDistricts.features];
 
-        // Pre-process survey data (for decades) and compute centroids once
-        // so we don't call turf.centroid on every map move (expensive).
-        preprocessSurveyData();
-
         // Build a mapping from district NAME -> array of survey features
         // contained within that district. This is computed once after data
         // load so switching districts is fast (avoids scanning the whole
         // survey dataset on each click).
         try {
+            let membership = loaded.districtMembership;
+            if (!membership) {
+                membership = buildDistrictMembership(surveyData.features, allDistricts, iBooleanPointInPolygon,
+                    (done, total) => updateLoadingIndicator('districts', done, total));
+            }
+            applyDistrictMembership(membership);
+        } catch (e) {
+            console.warn('Could not precompute district->feature mapping.', e && e.message ? e.message : e);
             districtFeatureMap = {};
-            // Only iterate over districts that have a NAME property
-            allDistricts.forEach(d => {
-                const name = (d && d.properties && (d.properties.NAME || d.properties.name)) || null;
-                if (name) districtFeatureMap[name] = [];
-            });
+        }
 
-            // For each district, collect features whose precomputed centroid
-            // lies inside the district geometry. Also populate a reverse
-            // index from building id -> district name for fast lookups.
-            bldgIdToDistrict = {};
-            for (const d of allDistricts) {
-                try {
-                    const name = (d && d.properties && (d.properties.NAME || d.properties.name)) || null;
-                    if (!name) continue;
-                    const geom = d.geometry;
-                    if (!geom) continue;
+        buildBuildingIndex();
+        buildSearchIndex();
 
-                    for (const f of surveyData.features) {
-                        try {
-                            let lat, lng;
-                            if (f._centroid && typeof f._centroid.lat === 'number') {
-                                lat = f._centroid.lat; lng = f._centroid.lng;
-                            } else {
-                                const c = iCentroid(f);
-                                if (c && c.geometry && c.geometry.coordinates) {
-                                    lng = c.geometry.coordinates[0];
-                                    lat = c.geometry.coordinates[1];
-                                    f._centroid = { lng, lat };
-                                } else {
-                                    continue;
-                                }
-                            }
+        // The most common architects and styles get the palette's most
+        // distinct colors (see rankSymbologyCategories)
+        const byCount = (entries) => entries.slice()
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+            .map(entry => entry.value);
+        rankSymbologyCategories('architect', byCount(searchIndex.architects));
+        rankSymbologyCategories('style', byCount(searchIndex.styles));
 
-                            const pt = { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] } };
-                            if (iBooleanPointInPolygon(pt, geom)) {
-                                districtFeatureMap[name].push(f);
-                                try {
-                                    const id = f && f.properties && f.properties.BLDG_ID;
-                                    if (typeof id !== 'undefined' && id !== null) {
-                                        // Only set if not already present so first match wins
-                                        if (!bldgIdToDistrict[id]) bldgIdToDistrict[id] = name;
-                                    }
-                                } catch (e) { }
-                            }
-                        } catch (e) {
-                            // ignore individual failures
-                        }
-                    }
-                } catch (e) {
-                    // ignore per-district failures
-                }
-            }
+        try {
+            buildSpatialIndexes();
         } catch (e) {
-            console.warn('Could not precompute district->feature mapping.', e && e.message ? e.message : e);
-            districtFeatureMap = {};
+            console.warn('Could not build spatial indexes; viewport queries will scan all features.', e && e.message ? e.message : e);
+            surveySpatialIndex = null;
+            districtSpatialIndex = null;
         }
 
         console.log("Data loaded and pre-processed");
@@ -337,7 +391,12 @@ async function loadDataSources() {
             pane: 'localDistrictPane'
         }).addTo(map);
 
-        baseSurveyLayer = L.geoJSON(surveyData, {
+        // Built once; updateSurveyLayer only restyles paths and adds or
+        // removes them from the group. Canvas keeps thousands of
+        // footprints out of the DOM.
+        surveyLayer = L.geoJSON(surveyData, {
+            style: getSurveyStyle,
+            renderer: L.canvas({ pane: 'buildingPane' }),
             onEachFeature: (feature, layer) => {
                 layer.on('click', (e) => {
                     L.DomEvent.stopPropagation(e);
@@ -345,14 +404,17 @@ async function loadDataSources() {
                         property_id: feature.properties.BLDG_ID,
                         color_code: feature.properties.CHRS_Rating || 'N/A'
                     });
-                    window.location.hash = `#property/${feature.properties.BLDG_ID}`;
+                    navigateTo(`#property/${feature.properties.BLDG_ID}`);
                 });
+                bindBuildingHover(feature, layer);
             },
             pane: 'buildingPane'
         });
+        surveyPaths = surveyLayer.getLayers();
 
         updateSurveyLayer('default');
 
+        removeLoadingIndicator();
         isDataLoaded = true;
         handleHashChange();
 
@@ -366,6 +428,180 @@ async function loadDataSources() {
     }
 }
 
+/**
+ * Loads districts.json into `districtRegistry`. A failure is logged and
+ * leaves the registry empty (districts then use the fallback palette).
+ */
+async function loadDistrictRegistry() {
+    try {
+        const res = await fetch(DATA_SOURCES.districtRegistry);
+        districtRegistry = await res.json();
+    } catch (error) {
+        console.error('Error loading district registry:', error);
+        districtRegistry = {};
+    }
+}
+
+/**
+ * Returns the registry entry for a district NAME, or null.
+ */
+function getDistrictRegistryEntry(name) {
+    return (name && districtRegistry[name]) || null;
+}
+
+/**
+ * Returns { key, label } pairs for every district with a flag column in
+ * the survey data, in registry order.
+ */
+function getDistrictFlagColumns() {
+    return Object.keys(districtRegistry)
+        .filter(name => districtRegistry[name].flagColumn)
+        .map(name => ({ key: districtRegistry[name].flagColumn, label: name }));
+}
+
+/**
+ * Returns the contributing-status ribbon <img> for a property in a
+ * district that has a contributingColumn, or '' if the district has none.
+ * Y/C = contributing, N = non-contributing, anything else undetermined.
+ */
+function renderContributingRibbon(districtName, props, imgStyle) {
+    const entry = getDistrictRegistryEntry(districtName);
+    if (!entry || !entry.contributingColumn) return '';
+    const raw = props ? props[entry.contributingColumn] : null;
+    const contrib = (raw === null || typeof raw === 'undefined') ? '' : String(raw).trim().toUpperCase();
+
+    let ribbonIcon = 'ribbon-undetermined.svg';
+    let ribbonTitle = `Undetermined contribution to the ${districtName}`;
+    if (contrib === 'Y' || contrib === 'C') {
+        ribbonIcon = 'ribbon-gold.svg';
+        ribbonTitle = `Contributing property to the ${districtName}`;
+    } else if (contrib === 'N') {
+        ribbonIcon = 'ribbon-noncontributing.svg';
+        ribbonTitle = `Non-contributing property in the ${districtName}`;
+    }
+    return `<img src="${ribbonIcon}" data-tooltip="${ribbonTitle}" style="${imgStyle}" />`;
+}
+
+/**
+ * Runs survey_worker.js and resolves with its parsed/pre-processed data.
+ * Rejects if workers aren't available (e.g. opened from file://) or the
+ * worker reports a failure, so the caller can fall back to the main thread.
+ */
+function loadDataInWorker() {
+    return new Promise((resolve, reject) => {
+        if (typeof Worker === 'undefined') {
+            reject(new Error('Web Workers are not supported'));
+            return;
+        }
+        let worker;
+        try {
+            worker = new Worker('survey_worker.js');
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            const msg = e.data || {};
+            if (msg.type === 'progress') {
+                updateLoadingIndicator(msg.stage, msg.done, msg.total);
+            } else if (msg.type === 'result') {
+                worker.terminate();
+                resolve(msg);
+            } else if (msg.type === 'error') {
+                worker.terminate();
+                reject(new Error(msg.message));
+            }
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e && e.message ? e.message : 'Survey worker failed'));
+        };
+
+        worker.postMessage({
+            type: 'load',
+            surveyUrl: DATA_SOURCES.survey,
+            nationalUrl: DATA_SOURCES.national,
+            chicagoUrl: DATA_SOURCES.chicago
+        });
+    });
+}
+
+/**
+ * Fallback for loadDataInWorker(): fetches and pre-processes the data on
+ * the main thread. District membership is left for the caller to build.
+ */
+async function loadDataOnMainThread() {
+    updateLoadingIndicator('fetch', 0, 1);
+    const [surveyRes, nationalRes, chicagoRes] = await Promise.all([
+        fetch(DATA_SOURCES.survey),
+        fetch(DATA_SOURCES.national),
+        fetch(DATA_SOURCES.chicago)
+    ]);
+
+    const loaded = {
+        surveyData: await surveyRes.json(),
+        nationalDistricts: await nationalRes.json(),
+        chicagoDistricts: await chicagoRes.json(),
+        districtMembership: null
+    };
+    updateLoadingIndicator('fetch', 1, 1);
+
+    // Pre-process survey data (for decades) and compute centroids once
+    // so we don't call turf.centroid on every map move (expensive).
+    surveyData = loaded.surveyData;
+    preprocessSurveyData();
+    return loaded;
+}
+
+/**
+ * Turns the district NAME -> feature-index map produced by
+ * buildDistrictMembership() into `districtFeatureMap` and the
+ * `bldgIdToDistricts` reverse index.
+ */
+function applyDistrictMembership(membership) {
+    districtFeatureMap = {};
+    bldgIdToDistricts = {};
+    Object.keys(membership).forEach(name => {
+        districtFeatureMap[name] = membership[name].map(i => surveyData.features[i]).filter(Boolean);
+        districtFeatureMap[name].forEach(f => {
+            const id = f && f.properties && f.properties.BLDG_ID;
+            if (typeof id !== 'undefined' && id !== null) {
+                if (!bldgIdToDistricts[id]) bldgIdToDistricts[id] = [];
+                if (!bldgIdToDistricts[id].includes(name)) bldgIdToDistricts[id].push(name);
+            }
+        });
+    });
+}
+
+/**
+ * Updates the loading bar on the welcome panel. Each stage reported by
+ * the worker (or the main-thread fallback) fills its own slice of the bar.
+ */
+function updateLoadingIndicator(stage, done, total) {
+    const indicator = document.getElementById('data-loading-indicator');
+    if (!indicator) return;
+    const stages = {
+        fetch: { start: 0, span: 0.3, label: 'Downloading map data...' },
+        preprocess: { start: 0.3, span: 0.3, label: 'Preparing buildings...' },
+        districts: { start: 0.6, span: 0.4, label: 'Finding buildings in historic districts...' }
+    };
+    const s = stages[stage];
+    if (!s) return;
+    const fraction = total ? Math.min(1, done / total) : 0;
+    const pct = Math.round((s.start + s.span * fraction) * 100);
+
+    const fill = indicator.querySelector('.loading-bar-fill');
+    const label = indicator.querySelector('.loading-label');
+    if (fill) fill.style.width = `${pct}%`;
+    if (label) label.textContent = s.label;
+}
+
+function removeLoadingIndicator() {
+    const indicator = document.getElementById('data-loading-indicator');
+    if (indicator) indicator.remove();
+}
+
 /**
  * Sets up all the click handlers for the UI.
  */
@@ -379,12 +615,28 @@ function setupEventListeners() {
         }
     });
 
-    // Main hash change router (wrapped for lightweight debugging)
-    window.addEventListener('hashchange', (e) => {
-        console.debug('[DEBUG] hashchange event ->', window.location.hash);
-        try { handleHashChange(e); } catch (err) { console.error('Error in handleHashChange wrapper', err); }
+    // Main router: browser back/forward fire popstate; hash links and
+    // typed URLs fire popstate and hashchange (handleHashChange ignores
+    // the second one). In-app navigation goes through navigateTo().
+    ['popstate', 'hashchange'].forEach(type => {
+        window.addEventListener(type, (e) => {
+            console.debug(`[DEBUG] ${type} event ->`, window.location.hash);
+            try { handleHashChange(e); } catch (err) { console.error('Error in handleHashChange wrapper', err); }
+        });
     });
 
+    // Remember each history entry's list scroll position so back/close
+    // return to the same spot (see restoreScrollPosition)
+    bottomSheet.addEventListener('scroll', (e) => {
+        const el = e.target;
+        if (!el.classList || !el.classList.contains('scrollable-content')) return;
+        if (scrollSaveTimer) clearTimeout(scrollSaveTimer);
+        scrollSaveTimer = setTimeout(() => {
+            scrollSaveTimer = null;
+            saveHistoryEntryState({ scroll: el.scrollTop });
+        }, 150);
+    }, true);
+
     // Listen for screen resize to move UI elements
     window.addEventListener('resize', handleResize);
 
@@ -392,7 +644,7 @@ function setupEventListeners() {
     document.querySelectorAll('#filter-pills .pill').forEach(pill => {
         pill.addEventListener('click', (e) => {
             const filter = e.currentTarget.dataset.filter;
-            let currentHash = window.location.hash;
+            let currentHash = getRouteHash();
 
             // On mobile, expand panel when pill is tapped
             if (window.innerWidth < 768) {
@@ -407,7 +659,7 @@ function setupEventListeners() {
             } else if (filter === 'survey' && currentHash.startsWith('#survey')) {
                 return; // Stay on survey, panel already expanded above
             } else {
-                window.location.hash = `#${filter}`;
+                navigateTo(`#${filter}`);
             }
         });
     });
@@ -416,19 +668,17 @@ function setupEventListeners() {
     searchInput.addEventListener('input', (e) => {
         showSearchDropdown(e.target.value);
     });
+    searchInput.addEventListener('focus', () => {
+        if (!searchInput.value) showSearchDropdown('');
+    });
 
-    searchInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            if (currentDropdownResults.length === 1) {
-                // If one result, attempt to show it (respecting current filters)
-                attemptShowProperty(currentDropdownResults[0].properties.BLDG_ID);
-                clearSearchDropdown();
-            } else {
-                // Otherwise, perform a full search
-                window.location.hash = `#search/${encodeURIComponent(e.target.value)}`;
-                clearSearchDropdown();
-            }
-        }
+    attachSearchKeyboard(searchInput, searchResultsDropdown, {
+        // Nothing selected and more than one result: full search
+        onSubmit: (query) => {
+            navigateTo(`#search/${encodeURIComponent(query)}`);
+            clearSearchDropdown();
+        },
+        onClose: clearSearchDropdown
     });
 
     // Close dropdown when clicking outside
@@ -444,7 +694,7 @@ function setupEventListeners() {
         // district page, or a district highlight exists, ignore map clicks
         // so the user remains in that district view even if they click
         // the map away from buildings.
-        const currentHash = window.location.hash || '';
+        const currentHash = getRouteHash() || '';
         // Ignore map clicks if we are in a specific context that should be preserved
         if (activeDistrictContext ||
             currentHash.startsWith('#district/') ||
@@ -453,7 +703,8 @@ function setupEventListeners() {
             currentHash === '#landmarks' ||
             currentHash === '#districts' ||
             currentHash.startsWith('#search/') ||
-            currentHash.startsWith('#property/')
+            currentHash.startsWith('#property/') ||
+            currentHash.startsWith('#qa/')
         ) return;
         if (clickTimer) { clearTimeout(clickTimer); clickTimer = null; }
         clickTimer = setTimeout(() => {
@@ -510,100 +761,42 @@ function setupEventListeners() {
             // Track Follow Map toggle
             trackEvent('follow_map_toggle', {
                 action: isMapFollowEnabled ? 'enabled' : 'disabled',
-                current_route: window.location.hash || '/'
+                current_route: getRouteHash() || '/'
             });
 
             // Refresh the current panel content without changing map view.
             refreshPanel();
         }
 
-        // Back button: go up to main view if already at top-level panel
+        // Back button: go up one level in the route hierarchy (see ROUTES)
         if (e.target.classList.contains('back-button')) {
-            const currentHash = window.location.hash || '';
-            const lastNonProp = getLastNonPropertyHash();
-            const isTopLevelPanel = currentHash === '#districts' || currentHash === '#landmarks' || currentHash === '#survey';
-
-            // Handle survey subroutes with hierarchical back navigation
-            if (currentHash.startsWith('#survey/color/')) {
-                navigateToPanel('#survey/color');
-                return;
-            }
-            if (currentHash.startsWith('#survey/decade/')) {
-                navigateToPanel('#survey/decade');
-                return;
-            }
-            if (currentHash.startsWith('#survey/style/')) {
-                navigateToPanel('#survey/style');
-                return;
-            }
-            if (currentHash.startsWith('#survey/architect/')) {
-                navigateToPanel('#survey/architect');
-                return;
-            }
-            if (currentHash === '#survey/color' || currentHash === '#survey/decade' || currentHash === '#survey/style' || currentHash === '#survey/architect') {
-                navigateToPanel('#survey');
-                return;
-            }
-
-            if (isTopLevelPanel) {
-                navigateHomeWithTrace('back-button: top-level panel');
-            } else {
-                const shouldGoToDistricts = currentHash.startsWith('#district/') || activeDistrictContext || selectedDistrictLayer || (lastNonProp && (lastNonProp === '#districts' || lastNonProp.startsWith('#district/')));
-                if (shouldGoToDistricts) {
-                    navigateToPanel('#districts');
-                } else {
-                    // If last non-property was landmarks or survey, honor that
-                    const lastNonProp = getLastNonPropertyHash();
-                    if (lastNonProp && (lastNonProp === '#landmarks' || lastNonProp.startsWith('#survey'))) {
-                        if (lastNonProp === '#landmarks') navigateToPanel('#landmarks');
-                        else navigateToPanel('#survey');
-                    } else {
-                        navigateHomeWithTrace('back-button (bottomSheet)');
-                    }
-                }
-            }
+            navigateBack('back-button (bottomSheet)');
         }
 
         // *** NEW: Close property button ***
         if (e.target.classList.contains('close-property-button')) {
             e.preventDefault();
+            closePropertyView('close-property (bottomSheet)');
+        }
 
-            // Pop the current property view from history if it's there
-            if (appHistory.length > 0 && appHistory[appHistory.length - 1].startsWith('#property/')) {
-                appHistory.pop();
-            }
-
-            if (appHistory.length > 0) {
-                // Go to the last view in our custom history
-                const lastHash = appHistory[appHistory.length - 1];
-                // We pop it here so handleHashChange can push it back, making it the new "current"
-                appHistory.pop();
-                window.location.hash = lastHash;
-            } else {
-                // If no history, go to the main view
-                navigateHomeWithTrace('close-property: no-history');
-            }
+        // Welcome panel: forget recent searches and viewed properties
+        if (e.target.classList.contains('clear-history-button')) {
+            clearRecentHistory();
+            showDefaultPanel();
+            return;
         }
 
-        // List item clicks
+        // List item clicks (navigateTo saves the list's scroll position
+        // into the current history entry before moving on)
         const li = e.target.closest('li');
         if (li) {
-            // Save scroll position before navigating to a property
-            if (li.dataset.id) {
-                const scrollableContent = bottomSheet.querySelector('.scrollable-content');
-                if (scrollableContent) {
-                    const currentHash = window.location.hash || '';
-                    savedScrollPositions[currentHash] = scrollableContent.scrollTop;
-                }
-            }
-
-            if (li.dataset.name) window.location.hash = `#district/${encodeURIComponent(li.dataset.name)}`;
+            if (li.dataset.name) navigateTo(`#district/${encodeURIComponent(li.dataset.name)}`);
             if (li.dataset.id) attemptShowProperty(li.dataset.id);
-            if (li.dataset.hash) window.location.hash = `#${li.dataset.hash}`;
-            if (li.dataset.color) window.location.hash = `#survey/color/${encodeURIComponent(li.dataset.color)}`;
-            if (li.dataset.decade) window.location.hash = `#survey/decade/${encodeURIComponent(li.dataset.decade)}`;
-            if (li.dataset.architect) window.location.hash = `#survey/architect/${encodeURIComponent(li.dataset.architect)}`;
-            if (li.dataset.style) window.location.hash = `#survey/style/${encodeURIComponent(li.dataset.style)}`;
+            if (li.dataset.hash) navigateTo(`#${li.dataset.hash}`);
+            if (li.dataset.color) navigateTo(`#survey/color/${encodeURIComponent(li.dataset.color)}`);
+            if (li.dataset.decade) navigateTo(`#survey/decade/${encodeURIComponent(li.dataset.decade)}`);
+            if (li.dataset.architect) navigateTo(`#survey/architect/${encodeURIComponent(li.dataset.architect)}`);
+            if (li.dataset.style) navigateTo(`#survey/style/${encodeURIComponent(li.dataset.style)}`);
         }
     });
 
@@ -616,46 +809,9 @@ function setupEventListeners() {
                 console.debug('[DEBUG] follow-map toggled (right sheet), now:', isMapFollowEnabled);
                 refreshPanel();
             }
-            // Back button: prefer returning to the districts list when
-            // currently viewing a district.
+            // Back button: go up one level in the route hierarchy (see ROUTES)
             if (e.target.classList.contains('back-button')) {
-                const currentHash = window.location.hash || '';
-                const lastNonProp = getLastNonPropertyHash();
-
-                // Handle survey subroutes with hierarchical back navigation
-                if (currentHash.startsWith('#survey/color/')) {
-                    navigateToPanel('#survey/color');
-                    return;
-                }
-                if (currentHash.startsWith('#survey/decade/')) {
-                    navigateToPanel('#survey/decade');
-                    return;
-                }
-                if (currentHash.startsWith('#survey/style/')) {
-                    navigateToPanel('#survey/style');
-                    return;
-                }
-                if (currentHash.startsWith('#survey/architect/')) {
-                    navigateToPanel('#survey/architect');
-                    return;
-                }
-                if (currentHash === '#survey/color' || currentHash === '#survey/decade' || currentHash === '#survey/style' || currentHash === '#survey/architect') {
-                    navigateToPanel('#survey');
-                    return;
-                }
-
-                const shouldGoToDistricts = currentHash.startsWith('#district/') || activeDistrictContext || selectedDistrictLayer || (lastNonProp && (lastNonProp === '#districts' || lastNonProp.startsWith('#district/')));
-                if (shouldGoToDistricts) {
-                    navigateToPanel('#districts');
-                } else {
-                    const lastNonProp = getLastNonPropertyHash();
-                    if (lastNonProp && (lastNonProp === '#landmarks' || lastNonProp.startsWith('#survey'))) {
-                        if (lastNonProp === '#landmarks') navigateToPanel('#landmarks');
-                        else navigateToPanel('#survey');
-                    } else {
-                        navigateHomeWithTrace('back-button (rightSheet)');
-                    }
-                }
+                navigateBack('back-button (rightSheet)');
             }
 
             // Close property button: hide the right panel and navigate back.
@@ -671,28 +827,18 @@ function setupEventListeners() {
                     } catch (e) { }
                     rightSheetContent.innerHTML = '';
                 }
-                // Try to return to the last meaningful view in our appHistory
-                if (appHistory.length > 0 && appHistory[appHistory.length - 1].startsWith('#property/')) {
-                    appHistory.pop();
-                }
-                if (appHistory.length > 0) {
-                    const lastHash = appHistory[appHistory.length - 1];
-                    appHistory.pop();
-                    window.location.hash = lastHash;
-                } else {
-                    navigateHomeWithTrace('rightSheet close-property: no-history');
-                }
+                closePropertyView('close-property (rightSheet)');
             }
 
             const li = e.target.closest('li');
             if (li) {
-                if (li.dataset.name) window.location.hash = `#district/${encodeURIComponent(li.dataset.name)}`;
+                if (li.dataset.name) navigateTo(`#district/${encodeURIComponent(li.dataset.name)}`);
                 if (li.dataset.id) attemptShowProperty(li.dataset.id);
-                if (li.dataset.hash) window.location.hash = `#${li.dataset.hash}`;
-                if (li.dataset.color) window.location.hash = `#survey/color/${encodeURIComponent(li.dataset.color)}`;
-                if (li.dataset.decade) window.location.hash = `#survey/decade/${encodeURIComponent(li.dataset.decade)}`;
-                if (li.dataset.architect) window.location.hash = `#survey/architect/${encodeURIComponent(li.dataset.architect)}`;
-                if (li.dataset.style) window.location.hash = `#survey/style/${encodeURIComponent(li.dataset.style)}`;
+                if (li.dataset.hash) navigateTo(`#${li.dataset.hash}`);
+                if (li.dataset.color) navigateTo(`#survey/color/${encodeURIComponent(li.dataset.color)}`);
+                if (li.dataset.decade) navigateTo(`#survey/decade/${encodeURIComponent(li.dataset.decade)}`);
+                if (li.dataset.architect) navigateTo(`#survey/architect/${encodeURIComponent(li.dataset.architect)}`);
+                if (li.dataset.style) navigateTo(`#survey/style/${encodeURIComponent(li.dataset.style)}`);
             }
         });
     }
@@ -704,11 +850,13 @@ function setupEventListeners() {
         mapMoveTimer = setTimeout(() => {
             // Allow follow-map to refresh panels even when a property is open,
             // but NOT when we're currently viewing a property route on mobile.
-            const currentHash = window.location.hash || '';
+            const currentHash = getRouteHash() || '';
             const isOnPropertyRoute = currentHash.startsWith('#property/');
 
             if (isMapFollowEnabled && bottomSheet.classList.contains('expanded') && !isOnPropertyRoute) {
                 refreshPanel();
+            } else {
+                updateUrlMapView();
             }
             mapMoveTimer = null;
         }, 200);
@@ -725,6 +873,10 @@ function setupEventListeners() {
 
     // Setup custom tooltip
     setupCustomTooltip();
+
+    // Hovering a list item flashes its footprint (desktop)
+    setupListHoverFlash(bottomSheet);
+    setupListHoverFlash(rightSheet);
 }
 
 /**
@@ -927,25 +1079,422 @@ function setupMobileDrag() {
 //  3. ROUTER - Reads the URL hash and controls the app
 // ---------------------------------------------------------------
 
-function handleHashChange() {
-    if (!isDataLoaded) return;
+// Every panel the app can show is described once here. Both the full
+// router (handleHashChange) and the follow-map refresh (refreshPanel)
+// run the same entry, so a route's panel, survey-layer mode and
+// district-boundary treatment can't drift between the two. Fields:
+//   pattern   - RegExp tested against the hash; capture groups become
+//               `params` (URI-decoded) in the order given by `params`
+//   parent    - hash the panel's back button returns to ('' = home),
+//               or a function of params; omitted means "no back button"
+//   pill      - nav pill to activate (null clears all pills)
+//   resolve   - optional; returns the params (plus any looked-up data)
+//               or null when the target doesn't exist
+//   notFound  - builds the not-found panel when resolve returns null
+//   redirect  - returns a hash that replaces this one in history (or
+//               null to stay), see getRedirectHash
+//   enter     - side effects that only belong to a real navigation
+//   panel     - builds the left/bottom panel
+//   layer     - returns [mode, filterValue] for updateSurveyLayer
+//   districts - 'show' | 'hide' | 'keep', or a function returning one;
+//               `districtOpacity` applies when shown
+//   view      - map-view policy; skipped on refresh so follow-map never
+//               re-centres the map
+//   defer     - build the panel on the next tick (heavy panels)
+//   decode    - false to pass captured params through un-decoded
+// Hooks receive (params, ctx) where ctx.prevHash is the hash this history
+// entry was opened from, ctx.refresh is true for follow-map refreshes and
+// ctx.mapView is the view being restored from the URL (if any).
+const ROUTES = [
+    {
+        name: 'property',
+        pattern: /^#property\/(.+)$/,
+        params: ['id'],
+        resolve: (p) => {
+            const feature = getFeatureById(parseInt(p.id, 10));
+            return feature ? { ...p, feature } : null;
+        },
+        notFound: (p) => buildPropertyNotFoundPanel(p.id),
+        enter: (p, ctx) => {
+            recordRecentProperty(p.feature.properties.BLDG_ID);
+            const prevHash = ctx.prevHash;
+            // If we came from a district, keep that district context active
+            if (prevHash && prevHash.startsWith('#district/')) {
+                const prevDistrictName = decodeURIComponent(prevHash.split('/')[1]);
+                activeDistrictContext = prevDistrictName;
+                // Ensure the survey layer remains filtered to that district
+                try { updateSurveyLayer('district', activeDistrictContext); } catch (e) { }
+                // Re-highlight the district if necessary
+                const prevDistrictFeature = allDistricts.find(d => d.properties.NAME === activeDistrictContext);
+                if (prevDistrictFeature && !selectedDistrictLayer) {
+                    highlightDistrict(prevDistrictFeature);
+                }
+            } else if (activeDistrictContext === '__ALL_DISTRICTS__') {
+                // Preserve the special marker indicating all district boundaries
+                // should remain visible across subsequent property selections.
+            } else {
+                activeDistrictContext = null;
+            }
+            highlightBuilding(p.feature);
+        },
+        panel: (p) => buildPropertyCard(p.feature.properties),
+        // Only hide the main district layers if there's no active district context
+        // Special case: if previous hash was #districts, keep all boundaries visible
+        districts: (p, ctx) => {
+            if (activeDistrictContext) return 'keep';
+            return ctx.prevHash === '#districts' ? 'show' : 'hide';
+        },
+        view: (p) => zoomToFeature(p.feature, 18, { offsetScale: 1.3 })
+    },
+    {
+        // Printed-material permalinks; one building redirects to its
+        // #property/ entry, several get a list to choose from.
+        name: 'pin',
+        pattern: /^#pin\/(.+)$/,
+        params: ['pin'],
+        resolve: (p) => {
+            const features = getFeaturesByPin(p.pin);
+            return features.length > 0 ? { ...p, features } : null;
+        },
+        redirect: (p) => p.features.length === 1 ? `#property/${p.features[0].properties.BLDG_ID}` : null,
+        notFound: (p) => buildPinNotFoundPanel(p.pin),
+        panel: (p) => buildBuildingChoicePanel(`PIN ${escapeHtml(formatPin(p.pin))}`, p.features),
+        districts: 'hide',
+        view: (p) => fitFeatures(p.features)
+    },
+    {
+        name: 'address',
+        pattern: /^#address\/(.+)$/,
+        params: ['slug'],
+        resolve: (p) => {
+            const features = getFeaturesByAddressSlug(p.slug);
+            return features.length > 0 ? { ...p, features } : null;
+        },
+        redirect: (p) => p.features.length === 1 ? `#property/${p.features[0].properties.BLDG_ID}` : null,
+        notFound: (p) => buildAddressNotFoundPanel(p.slug),
+        panel: (p) => buildBuildingChoicePanel(escapeHtml(formatAddress(p.features[0].properties)), p.features),
+        districts: 'hide',
+        view: (p) => fitFeatures(p.features)
+    },
+    {
+        name: 'district',
+        pattern: /^#district\/(.+)$/,
+        params: ['name'],
+        parent: '#districts',
+        resolve: (p) => {
+            const feature = allDistricts.find(f => f.properties && (f.properties.NAME === p.name || f.properties.name === p.name));
+            return feature ? { ...p, feature } : null;
+        },
+        notFound: (p) => buildDistrictNotFoundPanel(p.name),
+        enter: (p) => {
+            // Mark the app as locked to this district so we keep showing
+            // its boundary and only properties inside it until the user
+            // navigates away via back/nav.
+            activeDistrictContext = p.name;
+            highlightDistrict(p.feature);
+        },
+        panel: (p) => buildDistrictDetailsPanel(p.feature),
+        // While in a district detail view, limit the survey layer to
+        // properties that belong to this district so the map shows only
+        // relevant houses.
+        layer: (p) => ['district', p.name],
+        districts: 'keep',
+        view: (p) => zoomToFeature(p.feature)
+    },
+    {
+        name: 'search',
+        pattern: /^#search\/(.*)$/,
+        params: ['query'],
+        pill: null,
+        enter: (p) => {
+            if (searchInput.value !== p.query) {
+                smartSetView([41.71, -87.67], 13);
+                console.debug('[DEBUG] search route: disabling follow-map due to programmatic search navigation');
+                isMapFollowEnabled = false;
+            }
+            searchInput.value = p.query;
+        },
+        panel: (p, ctx) => handleSearch(p.query, { moveMap: !ctx.refresh && !ctx.mapView }),
+        districts: 'hide'
+    },
+    {
+        name: 'landmarks',
+        pattern: /^#landmarks$/,
+        parent: '',
+        pill: 'landmarks',
+        panel: () => buildLandmarksPanel(),
+        districts: 'hide',
+        view: () => smartSetView([41.71, -87.67], 13)
+    },
+    {
+        name: 'districts',
+        pattern: /^#districts$/,
+        parent: '',
+        pill: 'districts',
+        enter: () => clearHighlight(),
+        // Defer heavy UI/layer updates briefly so the browser can finish
+        // processing the click event and render the panel before we do
+        // potentially expensive layer operations which can cause jank.
+        defer: true,
+        panel: () => buildDistrictsPanel(),
+        // Filter survey layer to only properties inside historic districts
+        layer: () => {
+            const allDistrictIds = new Set();
+            Object.values(districtFeatureMap).forEach(arr => arr.forEach(f => allDistrictIds.add(f.properties.BLDG_ID)));
+            return ['districts-filter', allDistrictIds];
+        },
+        districts: 'show',
+        districtOpacity: 0.6
+        // Do not force a setView when entering districts — avoid snapping
+        // the map while the user is panning or when follow-map is toggled.
+    },
+    {
+        name: 'survey',
+        pattern: /^#survey$/,
+        parent: '',
+        pill: 'survey',
+        panel: () => buildSurveyPanel(),
+        layer: () => ['default'],
+        districts: 'hide',
+        view: () => smartSetView([41.71, -87.675], 15)
+    },
+    {
+        name: 'survey-filter',
+        pattern: /^#survey\/filter(?:\?(.*))?$/,
+        params: ['query'],
+        // URLSearchParams does its own decoding; decoding first would
+        // break values containing an encoded & or =
+        decode: false,
+        parent: '#survey',
+        pill: 'survey',
+        resolve: (p) => ({ facets: parseSurveyFacets(p.query) }),
+        panel: (p) => buildFacetedSurveyPanel(p.facets),
+        layer: (p) => ['filter', p.facets],
+        districts: 'hide'
+    },
+    {
+        name: 'survey-timeline',
+        pattern: /^#survey\/timeline$/,
+        parent: '#survey',
+        pill: 'survey',
+        enter: () => showTimelineControl(),
+        panel: () => buildTimelinePanel(),
+        layer: () => ['timeline', getTimelineYear()],
+        districts: 'hide'
+    },
+    ...['color', 'decade', 'architect', 'style'].flatMap(mode => {
+        const builders = {
+            color: [buildColorCodeListPanel, buildColorCodeDetailPanel],
+            decade: [buildDecadeListPanel, buildDecadeDetailPanel],
+            architect: [buildArchitectListPanel, buildArchitectDetailPanel],
+            style: [buildStyleListPanel, buildStyleDetailPanel]
+        }[mode];
+        return [
+            {
+                name: `survey-${mode}-list`,
+                pattern: new RegExp(`^#survey/${mode}$`),
+                parent: '#survey',
+                pill: 'survey',
+                panel: () => builders[0](),
+                layer: () => [mode],
+                districts: 'hide'
+            },
+            {
+                name: `survey-${mode}`,
+                pattern: new RegExp(`^#survey/${mode}/(.+)$`),
+                params: ['value'],
+                parent: `#survey/${mode}`,
+                pill: 'survey',
+                resolve: (p) => {
+                    const facet = SURVEY_FACETS.find(f => f.key === mode);
+                    return surveyData.features.some(f => facet.values(f).includes(p.value)) ? p : null;
+                },
+                notFound: (p) => buildSurveyValueNotFoundPanel(mode, p.value),
+                panel: (p) => builders[1](p.value),
+                layer: (p) => [mode, p.value],
+                districts: 'hide'
+            }
+        ];
+    }),
+    {
+        // Maintainer-only data check; not linked from the UI
+        name: 'qa-districts',
+        pattern: /^#qa\/districts$/,
+        parent: '',
+        pill: null,
+        panel: () => buildDistrictQaPanel(),
+        layer: () => ['default'],
+        districts: 'show',
+        districtOpacity: 0.2
+    },
+    {
+        // Default "home" state; also the fallback for unknown hashes
+        name: 'home',
+        pattern: /^#?$/,
+        pill: '',
+        // *** FIX: Correctly toggle panel based on screen size ***
+        // Shows the mobile panel at its middle position / keeps the desktop panel open
+        enter: () => toggleBottomSheet(true),
+        panel: () => showDefaultPanel(),
+        layer: () => ['default'],
+        districts: 'show',
+        districtOpacity: 0.6,
+        // Ensure the default center respects the right-panel offset
+        view: () => smartSetView([41.71, -87.67], 13)
+    }
+];
+
+const HOME_ROUTE = ROUTES.find(r => r.name === 'home');
+
+/**
+ * Finds the route for a hash. Returns { route, params, hash }; unknown
+ * hashes fall back to the home route.
+ */
+function matchRoute(hash) {
+    const h = hash || '';
+    for (const route of ROUTES) {
+        const m = h.match(route.pattern);
+        if (!m) continue;
+        const params = {};
+        (route.params || []).forEach((key, i) => {
+            const raw = m[i + 1] || '';
+            if (route.decode === false) { params[key] = raw; return; }
+            try { params[key] = decodeURIComponent(raw); } catch (e) { params[key] = raw; }
+        });
+        return { route, params, hash: h };
+    }
+    return { route: HOME_ROUTE, params: {}, hash: h };
+}
 
-    const hash = window.location.hash;
+/**
+ * For routes that stand in for another (#pin/ and #address/ with a
+ * single building), the hash to show instead; otherwise null.
+ */
+function getRedirectHash(hash) {
+    const { route, params } = matchRoute(hash);
+    if (!route.redirect) return null;
+    const resolved = route.resolve ? route.resolve(params, {}) : params;
+    return resolved ? route.redirect(resolved) : null;
+}
 
-    // Update lastListHash if this is a list view (not a property view)
-    // This allows the "Close" button on mobile to return to the last context.
-    if (hash && !hash.startsWith('#property/') && hash !== '#') {
-        lastListHash = hash;
+/**
+ * Runs a matched route. `refresh: true` rebuilds the panel and survey
+ * layer only (no pill change, no enter hook, no map movement).
+ * `mapView` (from parseMapViewSuffix) replaces the route's view policy.
+ * Returns false if the route's target couldn't be resolved.
+ */
+function runRoute(match, { prevHash = null, refresh = false, mapView = null } = {}) {
+    const { route } = match;
+    const ctx = { prevHash, refresh, mapView, hash: match.hash };
+    const params = route.resolve ? route.resolve(match.params, ctx) : match.params;
+
+    if (!refresh && route.pill !== undefined) updateActivePill(route.pill);
+
+    if (!params) {
+        // Replace whatever the panel was showing and drop any filter the
+        // previous route left on the survey layer.
+        if (route.notFound) {
+            if (!refresh) route.notFound(match.params, ctx);
+            updateSurveyLayer('default');
+        }
+        return false;
     }
 
-    // Push to our custom history tracker, avoiding duplicates.
-    if (appHistory.length === 0 || appHistory[appHistory.length - 1] !== hash) {
-        appHistory.push(hash);
-        // Cap history to avoid unbounded growth which can cause memory pressure
-        if (appHistory.length > 300) {
-            appHistory.shift();
+    const apply = () => {
+        if (!refresh && route.enter) route.enter(params, ctx);
+        // Lists filtered by "Follow map" read the map bounds, so the
+        // shared view has to be in place before the panel is built.
+        if (mapView) applyMapView(mapView);
+        if (route.panel) route.panel(params, ctx);
+        if (mapView) applyMapViewHighlight(mapView);
+        if (route.layer) {
+            try {
+                const [mode, filterValue] = route.layer(params, ctx);
+                updateSurveyLayer(mode, filterValue);
+            } catch (e) {
+                console.warn(`Could not update survey layer for route ${route.name}`, e);
+            }
+        }
+        const districts = typeof route.districts === 'function' ? route.districts(params, ctx) : route.districts;
+        if (districts === 'show') {
+            showDistrictsLayer();
+            if (route.districtOpacity !== undefined) setDistrictLayerOpacity(route.districtOpacity);
+        } else if (districts === 'hide') {
+            hideDistrictsLayer();
+        }
+        if (!refresh && !mapView && route.view) {
+            try { route.view(params, ctx); } catch (e) { /* swallow */ }
         }
+    };
+
+    if (route.defer) {
+        setTimeout(() => {
+            try { apply(); } catch (e) { console.warn(`Error while initializing ${route.name} view`, e); }
+        }, 40);
+    } else {
+        apply();
+    }
+    return true;
+}
+
+/**
+ * Where the panel back button should go for the current hash. While a
+ * property is open the left panel still shows the last list, so the
+ * back button follows that list's parent. Returns '' for home.
+ */
+function getBackTargetHash() {
+    let hash = getRouteHash() || '';
+    if (hash.startsWith('#property/')) hash = getLastNonPropertyHash() || '';
+    const { route, params } = matchRoute(hash);
+    const parent = typeof route.parent === 'function' ? route.parent(params) : route.parent;
+    return parent || '';
+}
+
+/**
+ * Back-button handler shared by the bottom and right sheets.
+ */
+function navigateBack(note) {
+    const target = getBackTargetHash();
+    const entry = window.history.state;
+    // If we came straight from the parent, step back through history so
+    // the in-panel button and the browser button land on the same entry.
+    if (entry && entry.key && entry.index > 0 && (entry.prevHash || '') === target) {
+        window.history.back();
+        return;
+    }
+    if (target) {
+        navigateToPanel(target);
+    } else {
+        navigateHomeWithTrace(note);
+    }
+}
+
+function handleHashChange() {
+    if (!isDataLoaded) return;
 
+    let hash = getRouteHash();
+    // A shared link (or a history entry we've stamped) carries the map
+    // view; restore it instead of the route's default view.
+    const sharedView = parseMapViewSuffix(window.location.hash).view;
+
+    // Every entry in the browser's history carries our state; entries we
+    // haven't seen yet (new navigations, typed or shared URLs) get stamped
+    // here. popstate and hashchange both fire for fragment navigation, so
+    // skip the second event for an entry we've already handled.
+    let entry = window.history.state;
+    if (!entry || !entry.key) {
+        // Permalinks arriving from outside (#pin/, #address/) become the
+        // #property/ entry they stand for
+        const suffix = (window.location.hash || '').slice(hash.length);
+        hash = getRedirectHash(hash) || hash;
+        entry = createHistoryEntry(hash, currentHistoryEntry);
+        try { window.history.replaceState(entry, '', `${hash || '#'}${suffix}`); } catch (e) { }
+    }
+    if (currentHistoryEntry && currentHistoryEntry.key === entry.key) return;
+    const previousEntry = currentHistoryEntry;
+    currentHistoryEntry = entry;
+
+    if (!previousEntry || previousEntry.hash !== hash) {
         // Track route change in Google Analytics
         let pagePath = hash || '/';
         let pageTitle = hash || 'Home';
@@ -963,18 +1512,19 @@ function handleHashChange() {
     }
 
     // Determine previous hash (if any) so we can preserve district context
-    const prevHash = (appHistory.length >= 2) ? appHistory[appHistory.length - 2] : null;
+    const prevHash = entry.prevHash;
 
-    // If the current target is a property, try to determine which district
-    // (if any) contains it. This helps when navigating property->property
+    // If the current target is a property, try to determine which districts
+    // (if any) contain it. This helps when navigating property->property
     // so we can keep the district highlighted even if the direct previous
-    // hash isn't the district page.
-    let currentPropertyDistrict = null;
-    if (window.location.hash && window.location.hash.startsWith('#property/')) {
+    // hash isn't the district page. Overlapping districts (e.g. Ridge and
+    // Longwood Drive) mean a property can belong to more than one.
+    let currentPropertyDistricts = [];
+    if (hash && hash.startsWith('#property/')) {
         try {
-            const bldgId = parseInt(window.location.hash.split('/')[1], 10);
-            currentPropertyDistrict = findDistrictNameForProperty(bldgId);
-        } catch (e) { currentPropertyDistrict = null; }
+            const bldgId = parseInt(hash.split('/')[1], 10);
+            currentPropertyDistricts = findDistrictNamesForProperty(bldgId);
+        } catch (e) { currentPropertyDistricts = []; }
     }
 
     // Clear building highlights and search dropdown always.
@@ -983,6 +1533,13 @@ function handleHashChange() {
 
     // Ensure tooltips are hidden on navigation
     if (window.hideTooltip) window.hideTooltip();
+    clearHoverOutline();
+
+    // The timeline control stays up for #survey/timeline and for
+    // properties opened from it
+    const onTimeline = hash === '#survey/timeline' ||
+        ((hash || '').startsWith('#property/') && getLastNonPropertyHash() === '#survey/timeline');
+    if (!onTimeline) hideTimelineControl();
 
     // Decide whether to preserve the selected district highlight.
     // Keep the district visible when:
@@ -999,24 +1556,26 @@ function handleHashChange() {
         || (hash && hash.startsWith('#property/') && activeDistrictContext)
         || transitioningDistrictToProperty;
 
-    if (!shouldPreserveDistrict && currentPropertyDistrict) {
-        // If previous hash references the district page for this property,
-        // or the previous property belonged to the same district, preserve.
+    if (!shouldPreserveDistrict && currentPropertyDistricts.length > 0) {
+        // If previous hash references one of this property's district pages,
+        // or the previous property shares a district with it, preserve that one.
+        let preservedDistrict = null;
         if (prevHash && prevHash.startsWith('#district/')) {
             const prevDistrictName = decodeURIComponent(prevHash.split('/')[1] || '');
-            if (prevDistrictName === currentPropertyDistrict) shouldPreserveDistrict = true;
+            if (currentPropertyDistricts.includes(prevDistrictName)) preservedDistrict = prevDistrictName;
         } else if (prevHash && prevHash.startsWith('#property/')) {
             try {
                 const prevBldgId = parseInt(prevHash.split('/')[1], 10);
-                const prevDistrict = findDistrictNameForProperty(prevBldgId);
-                if (prevDistrict && prevDistrict === currentPropertyDistrict) shouldPreserveDistrict = true;
+                const prevDistricts = findDistrictNamesForProperty(prevBldgId);
+                preservedDistrict = currentPropertyDistricts.find(d => prevDistricts.includes(d)) || null;
             } catch (e) { }
         }
-        // Also if activeDistrictContext matches the property district
-        if (activeDistrictContext && activeDistrictContext === currentPropertyDistrict) shouldPreserveDistrict = true;
+        // Also if activeDistrictContext is one of the property's districts
+        if (activeDistrictContext && currentPropertyDistricts.includes(activeDistrictContext)) preservedDistrict = activeDistrictContext;
         // If we decided to preserve, ensure the active context is set.
-        if (shouldPreserveDistrict) {
-            activeDistrictContext = currentPropertyDistrict;
+        if (preservedDistrict) {
+            shouldPreserveDistrict = true;
+            activeDistrictContext = preservedDistrict;
         }
     }
 
@@ -1056,156 +1615,8 @@ function handleHashChange() {
         }
     }
 
-    if (hash.startsWith('#property/')) {
-        const bldgId = parseInt(hash.split('/')[1], 10);
-        const feature = surveyData.features.find(f => f.properties.BLDG_ID === bldgId);
-        if (feature) {
-            // If we came from a district, keep that district context active
-            if (prevHash && prevHash.startsWith('#district/')) {
-                const prevDistrictName = decodeURIComponent(prevHash.split('/')[1]);
-                activeDistrictContext = prevDistrictName;
-                // Ensure the survey layer remains filtered to that district
-                try { updateSurveyLayer('district', activeDistrictContext); } catch (e) { }
-                // Re-highlight the district if necessary
-                const prevDistrictFeature = allDistricts.find(d => d.properties.NAME === activeDistrictContext);
-                if (prevDistrictFeature && !selectedDistrictLayer) {
-                    highlightDistrict(prevDistrictFeature);
-                }
-            } else if (activeDistrictContext === '__ALL_DISTRICTS__') {
-                // Preserve the special marker indicating all district boundaries
-                // should remain visible across subsequent property selections.
-            } else {
-                activeDistrictContext = null;
-            }
-
-            highlightBuilding(feature);
-            buildPropertyCard(feature.properties);
-            zoomToFeature(feature, 18, { offsetScale: 1.3 });
-        }
-        // Only hide the main district layers if there's no active district context
-        // Special case: if previous hash was #districts, keep all boundaries visible
-        if (!activeDistrictContext) {
-            if (prevHash === '#districts') {
-                showDistrictsLayer();
-            } else {
-                hideDistrictsLayer();
-            }
-        }
-
-    } else if (hash.startsWith('#district/')) {
-        const districtName = decodeURIComponent(hash.split('/')[1]);
-        const feature = allDistricts.find(f => f.properties.NAME === districtName);
-        if (feature) {
-            // Mark the app as locked to this district so we keep showing
-            // its boundary and only properties inside it until the user
-            // navigates away via back/nav.
-            activeDistrictContext = districtName;
-            highlightDistrict(feature);
-            buildDistrictDetailsPanel(feature);
-            zoomToFeature(feature);
-            // While in a district detail view, limit the survey layer to
-            // properties that belong to this district so the map shows only
-            // relevant houses.
-            try {
-                updateSurveyLayer('district', districtName);
-            } catch (e) {
-                console.warn('Could not filter survey layer for district:', districtName, e);
-            }
-        }
-    } else if (hash.startsWith('#search/')) {
-        const query = decodeURIComponent(hash.split('/')[1]);
-        if (searchInput.value !== query) {
-            smartSetView([41.71, -87.67], 13);
-            console.debug('[DEBUG] search branch: disabling follow-map due to programmatic search navigation');
-            isMapFollowEnabled = false;
-        }
-        searchInput.value = query;
-        handleSearch(query);
-        updateActivePill(null);
-        hideDistrictsLayer();
-
-    } else if (hash === '#landmarks') {
-        buildLandmarksPanel();
-        updateActivePill('landmarks');
-        hideDistrictsLayer();
-        try { smartSetView([41.71, -87.67], 13); } catch (e) { }
-
-    } else if (hash === '#districts') {
-        clearHighlight();
-        console.debug('[DEBUG] handleHashChange: entering #districts — scheduling UI update');
-        updateActivePill('districts');
-        // Defer heavy UI/layer updates briefly so the browser can finish
-        // processing the click event and render the panel before we do
-        // potentially expensive layer operations which can cause jank.
-        setTimeout(() => {
-            try {
-                buildDistrictsPanel();
-                showDistrictsLayer();
-                setDistrictLayerOpacity(0.6);
-                // Filter survey layer to only properties inside historic districts
-                const allDistrictIds = new Set();
-                Object.values(districtFeatureMap).forEach(arr => arr.forEach(f => allDistrictIds.add(f.properties.BLDG_ID)));
-                updateSurveyLayer('districts-filter', allDistrictIds);
-            } catch (e) {
-                console.warn('Error while initializing districts view', e);
-            }
-        }, 40);
-        // Do not force a setView when entering districts — avoid snapping
-        // the map while the user is panning or when follow-map is toggled.
-
-    } else if (hash.startsWith('#survey')) {
-        hideDistrictsLayer();
-        updateActivePill('survey');
-
-        if (hash === '#survey') {
-            buildSurveyPanel();
-            updateSurveyLayer('default');
-            try { smartSetView([41.71, -87.675], 15); } catch (e) { }
-        } else if (hash === '#survey/color') {
-            buildColorCodeListPanel();
-            updateSurveyLayer('color');
-        } else if (hash.startsWith('#survey/color/')) {
-            const color = decodeURIComponent(hash.split('/')[2]);
-            buildColorCodeDetailPanel(color);
-            updateSurveyLayer('color', color);
-        } else if (hash === '#survey/decade') {
-            buildDecadeListPanel();
-            updateSurveyLayer('decade');
-        } else if (hash.startsWith('#survey/decade/')) {
-            const decade = decodeURIComponent(hash.split('/')[2]);
-            buildDecadeDetailPanel(decade);
-            updateSurveyLayer('decade', decade);
-        } else if (hash === '#survey/architect') {
-            buildArchitectListPanel();
-            updateSurveyLayer('architect');
-        } else if (hash.startsWith('#survey/architect/')) {
-            const architect = decodeURIComponent(hash.split('/')[2]);
-            buildArchitectDetailPanel(architect);
-            updateSurveyLayer('architect', architect);
-        } else if (hash === '#survey/style') {
-            buildStyleListPanel();
-            updateSurveyLayer('style');
-        } else if (hash.startsWith('#survey/style/')) {
-            const style = decodeURIComponent(hash.split('/')[2]);
-            buildStyleDetailPanel(style);
-            updateSurveyLayer('style', style);
-        }
-    } else {
-        // Default "home" state
-        showDefaultPanel();
-        updateActivePill('');
-        updateSurveyLayer('default');
-        showDistrictsLayer();
-        setDistrictLayerOpacity(0.6);
-        // Ensure the default center respects the right-panel offset
-        try { smartSetView([41.71, -87.67], 13); } catch (e) { /* swallow */ }
-        // *** FIX: Correctly toggle panel based on screen size ***
-        if (window.innerWidth < 768) {
-            toggleBottomSheet(true); // Show mobile panel at middle position
-        } else {
-            toggleBottomSheet(true); // Ensure desktop panel is open
-        }
-    }
+    const match = matchRoute(hash);
+    runRoute(match, { prevHash, mapView: sharedView });
 }
 
 /**
@@ -1216,93 +1627,22 @@ function handleHashChange() {
  */
 function refreshPanel() {
     if (!isDataLoaded) return;
-    // If we're currently viewing a single property, find the last
-    // non-property view in our `appHistory` so we can refresh the
-    // underlying list/panel (left/bottom sheet) while the right panel
+    // If we're currently viewing a single property, refresh the list the
+    // property was opened from (left/bottom sheet) while the right panel
     // shows the property. This keeps "Follow map" behavior active for
     // lists even when an item is open.
-    let hash = window.location.hash || '';
+    let hash = getRouteHash() || '';
     if (hash.startsWith('#property/')) {
-        // Walk history backwards (excluding the current property hash)
-        let lastNonProperty = null;
-        for (let i = appHistory.length - 2; i >= 0; i--) {
-            const h = appHistory[i] || '';
-            if (!h.startsWith('#property/')) { lastNonProperty = h; break; }
-        }
-        if (lastNonProperty) {
-            console.debug('[DEBUG] refreshPanel: using last non-property hash from history ->', lastNonProperty);
-            hash = lastNonProperty;
-        } else {
-            // Fallback to home if none found
-            console.debug('[DEBUG] refreshPanel: no last non-property hash found, falling back to home');
-            hash = '#';
-        }
+        hash = getLastNonPropertyHash() || '#';
+        console.debug('[DEBUG] refreshPanel: using list context of the current history entry ->', hash);
     }
 
     try {
-        if (hash.startsWith('#district/')) {
-            const districtName = decodeURIComponent(hash.split('/')[1]);
-            const feature = allDistricts.find(f => f.properties && (f.properties.NAME === districtName || f.properties.name === districtName));
-            if (feature) {
-                // Rebuild district panel and ensure survey layer filtered
-                buildDistrictDetailsPanel(feature);
-                try { updateSurveyLayer('district', districtName); } catch (e) { }
-            }
-            return;
-        }
-
-        if (hash === '#districts') {
-            console.debug('[DEBUG] refreshPanel: scheduling districts panel rebuild');
-            setTimeout(() => {
-                try {
-                    buildDistrictsPanel();
-                    showDistrictsLayer();
-                    setDistrictLayerOpacity(0.6);
-                    updateSurveyLayer('default');
-                } catch (e) { console.debug('refreshPanel districts rebuild error', e); }
-            }, 40);
-            return;
-        }
-
-        if (hash === '#landmarks') {
-            buildLandmarksPanel();
-            hideDistrictsLayer();
-            return;
-        }
-
-        if (hash.startsWith('#survey')) {
-            // Delegate to the same builders used by the router but avoid map changes
-            if (hash === '#survey') {
-                buildSurveyPanel(); updateSurveyLayer('default');
-            } else if (hash === '#survey/color') {
-                buildColorCodeListPanel(); updateSurveyLayer('color');
-            } else if (hash.startsWith('#survey/color/')) {
-                const color = decodeURIComponent(hash.split('/')[2]);
-                buildColorCodeDetailPanel(color); updateSurveyLayer('color', color);
-            } else if (hash === '#survey/decade') {
-                buildDecadeListPanel(); updateSurveyLayer('decade');
-            } else if (hash.startsWith('#survey/decade/')) {
-                const decade = decodeURIComponent(hash.split('/')[2]);
-                buildDecadeDetailPanel(decade); updateSurveyLayer('decade', decade);
-            } else if (hash === '#survey/architect') {
-                buildArchitectListPanel(); updateSurveyLayer('architect');
-            } else if (hash.startsWith('#survey/architect/')) {
-                const architect = decodeURIComponent(hash.split('/')[2]);
-                buildArchitectDetailPanel(architect); updateSurveyLayer('architect', architect);
-            } else if (hash === '#survey/style') {
-                buildStyleListPanel(); updateSurveyLayer('style');
-            } else if (hash.startsWith('#survey/style/')) {
-                const style = decodeURIComponent(hash.split('/')[2]);
-                buildStyleDetailPanel(style); updateSurveyLayer('style', style);
-            }
-            return;
-        }
-
-        // Default/home: just rebuild default panel and survey layer
-        showDefaultPanel(); updateSurveyLayer('default'); showDistrictsLayer(); setDistrictLayerOpacity(0.6);
+        runRoute(matchRoute(hash), { refresh: true });
     } catch (e) {
         console.debug('refreshPanel error', e);
     }
+    updateUrlMapView();
 }
 
 // ---------------------------------------------------------------
@@ -1313,13 +1653,10 @@ function refreshPanel() {
 
 function buildDistrictsPanel() {
     // Helper to filter by bounds if needed
+    const districtsInView = isMapFollowEnabled ? new Set(getDistrictsInView()) : null;
     const filterByBounds = (features) => {
-        if (!isMapFollowEnabled) return features;
-        const mapBounds = getVisibleMapBounds();
-        return features.filter(feature => {
-            try { return L.geoJSON(feature).getBounds().intersects(mapBounds); }
-            catch (e) { return false; }
-        });
+        if (!districtsInView) return features;
+        return features.filter(feature => districtsInView.has(feature));
     };
 
     // Get features from globals
@@ -1389,10 +1726,8 @@ function buildLandmarksPanel() {
     let filteredContributing = contributingRidge;
 
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredLandmarks = allLandmarks.filter(f => inViewIds.has(f.properties.BLDG_ID));
-        filteredContributing = contributingRidge.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        filteredLandmarks = filterFeaturesInView(allLandmarks);
+        filteredContributing = filterFeaturesInView(contributingRidge);
     }
 
     filteredLandmarks.sort(propertySort);
@@ -1400,7 +1735,7 @@ function buildLandmarksPanel() {
 
     // Update global navigation list
     // Combine both lists in the order they appear in the UI
-    currentNavigationList = [...filteredLandmarks, ...filteredContributing];
+    setNavigationList([...filteredLandmarks, ...filteredContributing]);
 
     // Helper to generate list HTML
     const generateList = (items) => {
@@ -1480,7 +1815,7 @@ function buildLandmarksPanel() {
 /**
  * Main search handler
  */
-function handleSearch(query) {
+function handleSearch(query, { moveMap = true } = {}) {
     if (!query || query.length < 3) {
         sheetContent.innerHTML = `
             <div class="sheet-header"><h3>Search</h3></div>
@@ -1489,47 +1824,407 @@ function handleSearch(query) {
         toggleBottomSheet(true);
         return;
     }
-    const searchQuery = query.toLowerCase().trim();
 
-    const results = surveyData.features.filter(f => {
-        const address = formatAddress(f.properties).toLowerCase();
-        return address.includes(searchQuery);
-    });
+    recordRecentSearch(query);
+
+    // "10400 block of Hoyne": everything on that hundred-block
+    const block = parseBlockQuery(query);
+    if (block) {
+        const onBlock = getFeaturesOnStreet(block.ref).filter(f => {
+            const n = Number(f.properties.F_ADD1);
+            return n >= block.from && n <= block.to;
+        });
+        buildBlockPanel(block, onBlock, moveMap);
+        return;
+    }
+
+    // "Longwood & 103rd": the buildings around that corner
+    const intersection = parseIntersectionQuery(query);
+    if (intersection) {
+        const point = locateIntersection(intersection.a, intersection.b);
+        if (point) {
+            buildIntersectionPanel(intersection, point, findFeaturesNear(point), moveMap);
+            return;
+        }
+    }
+
+    // Same ranked matcher as the dropdown. Exact, prefix and substring
+    // hits are the results; close spellings only make "did you mean".
+    const ranked = searchProperties(query, Infinity);
+    const results = ranked.filter(item => item.score <= 0);
+    const maxTypos = Math.max(1, Math.floor(normalizeSearchQuery(query).length / 4));
+    const nearMisses = ranked.filter(item => item.score > 0 && item.score <= maxTypos).slice(0, 5);
 
     if (results.length === 1) {
         // Single result: attempt to show (respect current filters/view)
-        const feature = results[0];
+        const feature = results[0].feature;
         attemptShowProperty(feature.properties.BLDG_ID);
-    } else {
-        buildSearchPanel(query, results);
+        return;
+    }
+
+    // Not in the data (vacant lot, new build, a number between two
+    // records): point at the closest surveyed buildings on that street
+    if (results.length === 0) {
+        const parsed = parseAddressQuery(query);
+        const neighbors = findNearestOnStreet(parsed);
+        if (neighbors.length > 0) {
+            buildNearestBuildingPanel(query, parsed, neighbors, moveMap);
+            return;
+        }
     }
+
+    buildSearchPanel(query, results, nearMisses);
 }
 
 /**
- * Builds the Search Results panel
+ * Splits an address-like query into { number, direction, street, type }
+ * (normalized, e.g. "10402 South Longwood Drive" -> 10402 / S /
+ * LONGWOOD / DR). Returns null if it doesn't start with a house number.
  */
-function buildSearchPanel(query, results) {
+function parseAddressQuery(rawQuery) {
+    const q = normalizeSearchQuery(rawQuery).replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    const m = q.match(/^(\d+)\s+(?:([NSEW])\s+)?(.+?)(?:\s+(ST|AVE|BLVD|PL|RD|DR|LN|CT|TER|PKWY|WAY))?$/);
+    if (!m) return null;
+    return { number: parseInt(m[1], 10), direction: m[2] || null, street: m[3], type: m[4] || null };
+}
+
+/**
+ * Surveyed buildings on the parsed street closest to the house number
+ * (by F_ADD1), nearest first, preferring the same side of the street.
+ * Falls back to a one-letter-off street name so "Longwod" still works.
+ */
+function findNearestOnStreet(parsed, limit = 4) {
+    if (!parsed || !surveyData) return [];
+    const onStreet = (streetName) => surveyData.features.filter(f => {
+        const props = f.properties;
+        if (!props.F_ADD1 || normalizeSearchQuery(props.ST_NAME1 || '') !== streetName) return false;
+        return !parsed.direction || !props.PRE_DIR1 || normalizeSearchQuery(props.PRE_DIR1) === parsed.direction;
+    });
+
+    let candidates = onStreet(parsed.street);
+    if (candidates.length === 0) {
+        const streets = new Set(surveyData.features.map(f => normalizeSearchQuery(f.properties.ST_NAME1 || '')));
+        const close = Array.from(streets).find(st => st && levenshteinDistance(parsed.street, st) <= 1);
+        if (close) candidates = onStreet(close);
+    }
+
+    const sameSide = (n) => (n % 2) === (parsed.number % 2);
+    return candidates
+        .map(f => ({ feature: f, gap: Math.abs(Number(f.properties.F_ADD1) - parsed.number) }))
+        .sort((a, b) => a.gap - b.gap || (sameSide(Number(b.feature.properties.F_ADD1)) - sameSide(Number(a.feature.properties.F_ADD1))))
+        .slice(0, limit)
+        .map(item => ({ ...item, sameSide: sameSide(Number(item.feature.properties.F_ADD1)) }));
+}
+
+/**
+ * Panel shown when an address isn't in the survey but we found surveyed
+ * buildings nearby on the same street. Zooms to them unless `moveMap`
+ * is false (follow-map refreshes, restored map views).
+ */
+function buildNearestBuildingPanel(query, parsed, neighbors, moveMap = true) {
+    const features = neighbors.map(n => n.feature);
+    setNavigationList(features);
+    highlightFeatureCache['search/nearest'] = features;
+    setHighlight(features, 'search/nearest');
+    if (moveMap) fitFeatures(features);
+
+    trackEvent('search_nearest_fallback', { results_count: neighbors.length });
+
+    const streetProps = features[0].properties;
+    const streetLabel = [streetProps.PRE_DIR1, streetProps.ST_NAME1, streetProps.ST_TYPE1].filter(Boolean).join(' ');
+    const listHtml = neighbors.map(n => {
+        const side = n.sameSide ? 'same side of the street' : 'across the street';
+        const gap = n.gap === 0 ? 'same house number' : `${n.gap} numbers away`;
+        return `<li data-id="${n.feature.properties.BLDG_ID}"><a>
+                    ${formatListItem(n.feature.properties)}
+                    <div style="color: #4285F4; font-size: 0.75em; margin-top: 2px;">${gap}, ${side}</div>
+                </a></li>`;
+    }).join('');
+
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3>Nearest Surveyed Buildings</h3>
+        </div>
+        <div class="scrollable-content">
+            <p style="padding: 0 15px; color: #444; line-height: 1.5;">
+                <strong>${escapeHtml(query)}</strong> wasn't part of the survey. It may be a vacant lot, a newer building,
+                or a number between two surveyed buildings. These are the closest surveyed buildings on ${escapeHtml(streetLabel)}:
+            </p>
+            <ul class="item-list">${listHtml}</ul>
+        </div>
+    `;
+    toggleBottomSheet(true);
+}
+
+// --- INTERSECTION AND BLOCK SEARCH ---
+// "Longwood & 103rd" and "10400 block of Hoyne" are answered from the
+// survey's own address columns (ST_NAME1, PRE_DIR1, F_ADD1); there is
+// no geocoder behind the search box.
+
+const STREET_TYPE_RE = /\s+(ST|AVE|BLVD|PL|RD|DR|LN|CT|TER|PKWY|WAY)$/;
+
+/**
+ * Resolves free text like "S Longwood Dr" or "103rd" to a surveyed
+ * street: { direction, street } with `street` in normalized ST_NAME1
+ * form. Allows one letter off for names of four or more letters.
+ * Returns null if no surveyed building is on a street by that name.
+ */
+function resolveStreetRef(text) {
+    if (!surveyData) return null;
+    let q = normalizeSearchQuery(text).replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    let direction = null;
+    const dirMatch = q.match(/^([NSEW])\s+(.+)$/);
+    if (dirMatch) {
+        direction = dirMatch[1];
+        q = dirMatch[2];
+    }
+    q = q.replace(STREET_TYPE_RE, '').trim();
+    if (!q) return null;
+
+    const streets = getSearchIndex().streets;
+    if (streets.has(q)) return { direction, street: q };
+    if (q.length < 4 || /^\d+$/.test(q)) return null;
+    const close = Array.from(streets.keys()).find(st => st && levenshteinDistance(q, st) <= 1);
+    return close ? { direction, street: close } : null;
+}
+
+/**
+ * Surveyed features on a resolveStreetRef() street, honoring the
+ * direction when both the query and the record have one.
+ */
+function getFeaturesOnStreet(ref) {
+    return (getSearchIndex().streets.get(ref.street) || [])
+        .filter(entry => !ref.direction || !entry.direction || entry.direction === ref.direction)
+        .map(entry => entry.feature);
+}
+
+/**
+ * Recognizes "Longwood & 103rd", "Longwood and 103rd", "Longwood at
+ * 103rd" and "corner of ...". Returns { a, b } street refs or null.
+ */
+function parseIntersectionQuery(rawQuery) {
+    const q = normalizeSearchQuery(rawQuery).replace(/^CORNER OF\s+/, '');
+    const m = q.match(/^(.+?)\s*(?:&|@|\/|\bAND\b|\bAT\b)\s*(.+)$/);
+    if (!m) return null;
+    // "10400 S Hoyne at ..." is an address, not a street name
+    if (/^\d+\s+\D/.test(m[1].trim())) return null;
+    const a = resolveStreetRef(m[1]);
+    const b = resolveStreetRef(m[2]);
+    if (!a || !b || a.street === b.street) return null;
+    return { a, b };
+}
+
+/**
+ * Recognizes "10400 block of Hoyne" / "the 10400 block S Hoyne Ave".
+ * Returns { from, to, ref } (from..to is the hundred-block) or null.
+ */
+function parseBlockQuery(rawQuery) {
+    const q = normalizeSearchQuery(rawQuery);
+    const m = q.match(/^(?:THE\s+)?(\d+)\s+BLOCK\s+(?:OF\s+)?(.+)$/);
+    if (!m) return null;
+    const ref = resolveStreetRef(m[2]);
+    if (!ref) return null;
+    const from = Math.floor(parseInt(m[1], 10) / 100) * 100;
+    return { from, to: from + 99, ref };
+}
+
+/**
+ * Estimates where two surveyed streets cross, as { lat, lng }.
+ * Chicago's numbered streets sit at a known address on the streets
+ * that cross them (103rd St = 10300 S), so when one street is numbered
+ * we interpolate between the buildings either side of that number on
+ * the other street. Otherwise we take the midpoint of the closest pair
+ * of buildings on the two streets. Returns null if they don't meet.
+ */
+function locateIntersection(a, b) {
+    const withCentroid = (list) => list.filter(f => f._centroid && typeof f._centroid.lat === 'number');
+    const onA = withCentroid(getFeaturesOnStreet(a));
+    const onB = withCentroid(getFeaturesOnStreet(b));
+
+    const [numbered, cross, crossFeatures] = /^\d+$/.test(a.street) ? [a, b, onB]
+        : /^\d+$/.test(b.street) ? [b, a, onA] : [null, null, null];
+    if (numbered && crossFeatures.length > 0) {
+        const target = parseInt(numbered.street, 10) * 100;
+        const numberOf = (f) => Number(f.properties.F_ADD1);
+        const below = crossFeatures.filter(f => numberOf(f) <= target && numberOf(f) > target - 100)
+            .sort((x, y) => numberOf(y) - numberOf(x))[0];
+        const above = crossFeatures.filter(f => numberOf(f) > target && numberOf(f) < target + 100)
+            .sort((x, y) => numberOf(x) - numberOf(y))[0];
+        if (below && above) {
+            const t = (target - numberOf(below)) / (numberOf(above) - numberOf(below));
+            return {
+                lat: below._centroid.lat + (above._centroid.lat - below._centroid.lat) * t,
+                lng: below._centroid.lng + (above._centroid.lng - below._centroid.lng) * t
+            };
+        }
+        if (below || above) return Object.assign({}, (below || above)._centroid);
+    }
+
+    // Closest pair; streets that never come within a block don't cross
+    let best = null;
+    onA.forEach(fa => {
+        const pa = L.latLng(fa._centroid.lat, fa._centroid.lng);
+        onB.forEach(fb => {
+            const d = pa.distanceTo([fb._centroid.lat, fb._centroid.lng]);
+            if (!best || d < best.d) best = { d, fa, fb };
+        });
+    });
+    if (!best || best.d > 200) return null;
+    return {
+        lat: (best.fa._centroid.lat + best.fb._centroid.lat) / 2,
+        lng: (best.fa._centroid.lng + best.fb._centroid.lng) / 2
+    };
+}
+
+/**
+ * Surveyed buildings around a point, nearest first: everything within
+ * `radius` meters, or the closest few if nothing is that close.
+ */
+function findFeaturesNear(point, radius = 120, limit = 25) {
+    const center = L.latLng(point.lat, point.lng);
+    const ranked = surveyData.features
+        .filter(f => f._centroid && typeof f._centroid.lat === 'number')
+        .map(f => ({ feature: f, distance: center.distanceTo([f._centroid.lat, f._centroid.lng]) }))
+        .sort((x, y) => x.distance - y.distance);
+    const inside = ranked.filter(item => item.distance <= radius);
+    return (inside.length > 0 ? inside : ranked.slice(0, 5)).slice(0, limit);
+}
+
+/**
+ * Street label for a resolved ref, spelled as the survey spells it.
+ */
+function formatStreetRef(ref, features) {
+    const sample = features.find(f => normalizeSearchQuery(f.properties.ST_NAME1 || '') === ref.street);
+    if (!sample) return [ref.direction, ref.street].filter(Boolean).join(' ');
+    const props = sample.properties;
+    return [ref.direction || props.PRE_DIR1, props.ST_NAME1, props.ST_TYPE1].filter(Boolean).join(' ');
+}
+
+/**
+ * Intersection results: zooms to the corner (unless `moveMap` is false)
+ * and lists the surveyed buildings around it.
+ */
+function buildIntersectionPanel(intersection, point, nearby, moveMap = true) {
+    const features = nearby.map(n => n.feature);
+    setNavigationList(features);
+    highlightFeatureCache['search/intersection'] = features;
+    setHighlight(features, 'search/intersection');
+    if (moveMap) smartSetView([point.lat, point.lng], Math.max(map.getZoom(), 18));
+
+    trackEvent('search_intersection', { results_count: features.length });
+
+    const allOnStreets = [...getFeaturesOnStreet(intersection.a), ...getFeaturesOnStreet(intersection.b)];
+    const title = `${escapeHtml(formatStreetRef(intersection.a, allOnStreets))} &amp; ${escapeHtml(formatStreetRef(intersection.b, allOnStreets))}`;
+    const listHtml = nearby.map(n => `<li data-id="${n.feature.properties.BLDG_ID}"><a>
+                ${formatListItem(n.feature.properties)}
+                <div style="color: #4285F4; font-size: 0.75em; margin-top: 2px;">${Math.round(n.distance)} m from the corner</div>
+            </a></li>`).join('');
+
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3>${title} (${features.length})</h3>
+        </div>
+        <div class="scrollable-content">
+            <p style="padding: 0 15px; color: #444; line-height: 1.5;">
+                Surveyed buildings near the corner, closest first.
+            </p>
+            <ul class="item-list">${listHtml}</ul>
+        </div>
+    `;
+    toggleBottomSheet(true);
+}
+
+/**
+ * Block results: every surveyed building on the hundred-block, split
+ * by side of the street (odd and even numbers), in house-number order.
+ */
+function buildBlockPanel(block, features, moveMap = true) {
+    const sorted = features.slice().sort(propertySort);
+    setNavigationList(sorted);
+    highlightFeatureCache['search/block'] = sorted;
+    setHighlight(sorted, 'search/block');
+    if (moveMap && sorted.length > 0) fitFeatures(sorted);
+
+    trackEvent('search_block', { results_count: sorted.length });
+
+    const streetLabel = formatStreetRef(block.ref, sorted);
+    const renderSide = (label, list) => list.length === 0 ? '' : `
+        <h4 style="padding: 15px 10px 5px 10px; margin: 0; color: #666; text-transform: uppercase; font-size: 0.9em; letter-spacing: 0.5px;">${label} (${list.length})</h4>
+        <ul class="item-list">${list.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('')}</ul>`;
+    const houseNumber = (f) => parseInt(f.properties.F_ADD1, 10);
+    const even = sorted.filter(f => houseNumber(f) % 2 === 0);
+    const odd = sorted.filter(f => houseNumber(f) % 2 === 1);
+    const unnumbered = sorted.filter(f => isNaN(houseNumber(f)));
+
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3>${block.from} Block of ${escapeHtml(streetLabel)} (${sorted.length})</h3>
+        </div>
+        <div class="scrollable-content">
+            ${sorted.length === 0
+                ? `<p style="padding: 0 15px;">No surveyed buildings on the ${block.from} block of ${escapeHtml(streetLabel)}.</p>`
+                : renderSide('Even-numbered side', even) + renderSide('Odd-numbered side', odd) + renderSide('Other house numbers', unnumbered)}
+        </div>
+    `;
+    toggleBottomSheet(true);
+}
+
+/**
+ * Explains in a few words why a searchProperties result matched.
+ */
+function describeSearchMatch(item) {
+    const field = item.matchedName ? 'building name' : 'address';
+    if (item.score === -1) return `Matches the start of the ${field}`;
+    if (item.score < 0) return `Matches a word in the ${field}`;
+    if (item.score === 0) return `Found in the ${field}`;
+    return `Close spelling of the ${field} (${item.score} ${item.score === 1 ? 'letter' : 'letters'} off)`;
+}
+
+/**
+ * Builds the Search Results panel. `results` and `nearMisses` are
+ * searchProperties items; near misses and matching architects, styles
+ * and districts are offered under "Did you mean".
+ */
+function buildSearchPanel(query, results, nearMisses = []) {
     let filteredResults = results;
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredResults = results.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        const inView = new Set(filterFeaturesInView(results.map(item => item.feature)));
+        filteredResults = results.filter(item => inView.has(item.feature));
     }
 
-    filteredResults.sort(propertySort);
+    // Best matches first; equally good ones in street order
+    filteredResults = filteredResults.slice().sort((a, b) => a.score - b.score || propertySort(a.feature, b.feature));
 
     // Update global navigation list
-    currentNavigationList = filteredResults;
+    setNavigationList(filteredResults.map(item => item.feature));
 
-    // Track search in Google Analytics
     // Track search in Google Analytics
     trackEvent('search', {
         // search_term removed for privacy
-        results_count: filteredResults.length
+        results_count: filteredResults.length,
+        suggestions_count: nearMisses.length
     });
 
+    const renderItem = (item) => `
+        <li data-id="${item.feature.properties.BLDG_ID}"><a>
+            ${formatListItem(item.feature.properties)}
+            <div style="color: #4285F4; font-size: 0.75em; margin-top: 2px;">${describeSearchMatch(item)}</div>
+        </a></li>`;
+
     let listHtml = filteredResults.length === 0 ? '<p>No matching properties found.</p>' :
-        `<ul class="item-list">${filteredResults.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('')}</ul>`;
+        `<ul class="item-list">${filteredResults.map(renderItem).join('')}</ul>`;
+
+    // "Did you mean": close spellings plus architects, styles and
+    // districts whose names match, linked to their own panels
+    const categories = searchCategories(query, 3);
+    const categoryItems = [
+        ...categories.architects.map(c => `<li data-architect="${escapeHtml(c.value)}"><a>${escapeHtml(c.value)} <span style="color: #888;">&middot; architect (${c.count})</span></a></li>`),
+        ...categories.styles.map(c => `<li data-style="${escapeHtml(c.value)}"><a>${escapeHtml(c.value)} <span style="color: #888;">&middot; style (${c.count})</span></a></li>`),
+        ...categories.districts.map(c => `<li data-name="${escapeHtml(c.value)}"><a>${escapeHtml(c.value)} <span style="color: #888;">&middot; district</span></a></li>`)
+    ];
+    const didYouMeanHtml = (nearMisses.length > 0 || categoryItems.length > 0) ? `
+        <h4 style="padding: 15px 10px 5px 10px; margin: 0; color: #666; text-transform: uppercase; font-size: 0.9em; letter-spacing: 0.5px;">Did you mean</h4>
+        <ul class="item-list">${nearMisses.map(renderItem).join('')}${categoryItems.join('')}</ul>` : '';
 
     const followToggleHtml = `<button id="follow-map-toggle" class="pill ${isMapFollowEnabled ? 'active' : ''}">Follow map</button>`;
     sheetContent.innerHTML = `
@@ -1537,13 +2232,317 @@ function buildSearchPanel(query, results) {
             <h3>Search Results (${filteredResults.length})</h3>
             ${followToggleHtml}
         </div>
-        <div class="scrollable-content">${listHtml}</div>
+        <div class="scrollable-content">${listHtml}${didYouMeanHtml}</div>
     `;
 
     toggleBottomSheet(true);
     restoreScrollPosition();
 }
 
+/**
+ * Compares the district flag columns in the survey data with the
+ * boundary-based `districtFeatureMap`. Returns one row per disagreement:
+ * `flag-only` (column set, centroid outside the boundary) or
+ * `boundary-only` (centroid inside the boundary, column blank).
+ */
+function findDistrictMismatches() {
+    const rows = [];
+    surveyData.features.forEach(f => {
+        const props = f.properties || {};
+        const geoDistricts = findDistrictNamesForProperty(props.BLDG_ID);
+        getDistrictFlagColumns().forEach(df => {
+            const flagValue = props[df.key];
+            const hasFlag = !!flagValue;
+            const inBoundary = geoDistricts.includes(df.label);
+            if (hasFlag === inBoundary) return;
+            rows.push({
+                feature: f,
+                district: df.label,
+                column: df.key,
+                flagValue: (flagValue === null || typeof flagValue === 'undefined') ? '' : String(flagValue),
+                issue: hasFlag ? 'flag-only' : 'boundary-only'
+            });
+        });
+    });
+    rows.sort((a, b) => a.district.localeCompare(b.district) || propertySort(a.feature, b.feature));
+    return rows;
+}
+
+/**
+ * Builds a CSV of district mismatches for fixing the source data.
+ */
+function districtMismatchesToCsv(rows) {
+    const esc = (v) => {
+        const str = (v === null || typeof v === 'undefined') ? '' : String(v);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const header = ['BLDG_ID', 'PIN', 'address', 'district', 'flag_column', 'flag_value', 'in_boundary', 'issue'];
+    const lines = rows.map(r => {
+        const props = r.feature.properties;
+        return [props.BLDG_ID, props.PIN, formatAddress(props), r.district, r.column, r.flagValue,
+            r.issue === 'boundary-only' ? 'Y' : 'N', r.issue].map(esc).join(',');
+    });
+    return [header.join(','), ...lines].join('\n');
+}
+
+/**
+ * Maintainer panel for #qa/districts: lists every disagreement between
+ * the flag columns and the boundaries, with a CSV export.
+ */
+function buildDistrictQaPanel() {
+    const rows = findDistrictMismatches();
+    const byDistrict = {};
+    rows.forEach(r => {
+        if (!byDistrict[r.district]) byDistrict[r.district] = [];
+        byDistrict[r.district].push(r);
+    });
+
+    setNavigationList(rows.map(r => r.feature).filter((f, i, arr) => arr.indexOf(f) === i));
+
+    const issueLabel = {
+        'flag-only': 'Flagged, outside boundary',
+        'boundary-only': 'Inside boundary, not flagged'
+    };
+
+    const groupsHtml = Object.keys(byDistrict).map(district => {
+        const items = byDistrict[district];
+        const flagOnly = items.filter(r => r.issue === 'flag-only').length;
+        const boundaryOnly = items.length - flagOnly;
+        return `
+            <h4 style="padding: 15px 15px 5px; margin: 0; color: #666; font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px; font-weight: 700;">${district} (${items.length})</h4>
+            <div style="padding: 0 15px 5px; color: #888; font-size: 0.85em;">${flagOnly} flagged outside boundary &bull; ${boundaryOnly} inside boundary not flagged</div>
+            <ul class="item-list">${items.map(r => `
+                <li data-id="${r.feature.properties.BLDG_ID}">
+                    <a>
+                        <div>${formatAddress(r.feature.properties)}</div>
+                        <div style="color: #888; font-size: 0.85em; margin-top: 2px;">${issueLabel[r.issue]} &middot; ${r.column}${r.flagValue ? ` = ${r.flagValue}` : ''}</div>
+                    </a>
+                </li>`).join('')}</ul>`;
+    }).join('');
+
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3><button class="back-button">&larr;</button>District Data Check (${rows.length})</h3>
+            <button id="qa-export-csv" class="pill" style="flex-shrink: 0; margin-left: 10px; font-size: 0.8em; padding: 6px 12px;">Export CSV</button>
+        </div>
+        <div class="scrollable-content">
+            <p style="color: #666; font-size: 0.9em; line-height: 1.5;">Properties where the district flag columns disagree with the district boundaries.</p>
+            ${rows.length === 0 ? '<p style="padding: 20px; text-align: center; color: #666;">No mismatches found.</p>' : groupsHtml}
+        </div>
+    `;
+    toggleBottomSheet(true);
+    restoreScrollPosition();
+
+    setHighlight(currentNavigationList, 'qa/districts');
+
+    const exportBtn = sheetContent.querySelector('#qa-export-csv');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const blob = new Blob([districtMismatchesToCsv(rows)], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'district_mismatches.csv';
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+    }
+}
+
+// --- NOT-FOUND PANELS ---
+
+/**
+ * Returns up to `limit` candidates closest to `wanted` by
+ * levenshteinDistance (case-insensitive). Substring matches rank first;
+ * anything further than ~40% of the length away is dropped.
+ */
+function suggestClosestValues(wanted, candidates, limit = 5) {
+    const w = String(wanted || '').toLowerCase().trim();
+    if (!w) return [];
+    const maxDist = Math.max(2, Math.ceil(w.length * 0.4));
+    return Array.from(new Set(candidates))
+        .filter(Boolean)
+        .map(c => {
+            const lc = String(c).toLowerCase();
+            // Only a candidate containing the query is an outright match; a short
+            // one inside it ("12" in "12345") is ranked by edit distance
+            const dist = lc.includes(w) ? 0 : levenshteinDistance(w, lc);
+            return { value: c, dist };
+        })
+        .filter(item => item.dist <= maxDist)
+        .sort((a, b) => a.dist - b.dist || String(a.value).localeCompare(String(b.value)))
+        .slice(0, limit)
+        .map(item => item.value);
+}
+
+/**
+ * Shows a "not found" panel for a route whose target doesn't exist and
+ * logs the miss. `info` is { kind, value, title, message, suggestions,
+ * fallbackHash, fallbackLabel } where each suggestion is { hash, html }.
+ */
+function buildNotFoundPanel(info) {
+    clearHighlight();
+    trackEvent('route_not_found', {
+        route_type: info.kind,
+        // requested value left out for privacy (it can be an address)
+        suggestions_count: info.suggestions.length
+    });
+
+    const suggestionsHtml = info.suggestions.length > 0
+        ? `<h4 style="padding: 15px 10px 5px 10px; margin: 0; color: #666; text-transform: uppercase; font-size: 0.9em; letter-spacing: 0.5px;">Did you mean</h4>
+           <ul class="item-list">${info.suggestions.map(s => `<li data-hash="${escapeHtml(s.hash.replace(/^#/, ''))}"><a>${s.html}</a></li>`).join('')}</ul>`
+        : '';
+    const fallbackHtml = info.fallbackHash
+        ? `<ul class="item-list"><li data-hash="${escapeHtml(info.fallbackHash.replace(/^#/, ''))}"><a>${info.fallbackLabel}</a></li></ul>`
+        : '';
+
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3><button class="back-button">&larr;</button>${info.title}</h3>
+        </div>
+        <div class="scrollable-content">
+            <p style="padding: 0 15px; color: #444; line-height: 1.5;">${info.message}</p>
+            ${suggestionsHtml}
+            ${fallbackHtml}
+        </div>
+    `;
+    toggleBottomSheet(true);
+}
+
+function buildPropertyNotFoundPanel(id) {
+    // Old links usually carry a mistyped or since-renumbered BLDG_ID, so
+    // suggest the buildings whose IDs are the fewest edits away.
+    const wanted = String(id || '');
+    const ids = surveyData.features.map(f => String(f.properties.BLDG_ID));
+    const suggestions = suggestClosestValues(wanted, ids).map(bid => {
+        const f = getFeatureById(bid);
+        return { hash: `#property/${bid}`, html: formatListItem(f.properties) };
+    });
+    buildNotFoundPanel({
+        kind: 'property',
+        value: wanted,
+        title: 'Property Not Found',
+        message: `There's no building with ID <strong>${escapeHtml(wanted)}</strong> in the survey. The link may be out of date.`,
+        suggestions,
+        fallbackHash: '#survey',
+        fallbackLabel: 'Browse the survey'
+    });
+}
+
+function buildDistrictNotFoundPanel(name) {
+    const names = allDistricts.map(d => getDistrictFeatureName(d));
+    const suggestions = suggestClosestValues(name, names).map(n => ({
+        hash: `#district/${encodeURIComponent(n)}`,
+        html: escapeHtml(n)
+    }));
+    buildNotFoundPanel({
+        kind: 'district',
+        value: name,
+        title: 'District Not Found',
+        message: `We couldn't find a district called <strong>${escapeHtml(name)}</strong>.`,
+        suggestions,
+        fallbackHash: '#districts',
+        fallbackLabel: 'All historic districts'
+    });
+}
+
+/**
+ * Not-found panel for #survey/<mode>/<value> when no building has that
+ * value (e.g. an architect or style renamed in the data since the link
+ * was bookmarked).
+ */
+function buildSurveyValueNotFoundPanel(mode, value) {
+    const facet = SURVEY_FACETS.find(f => f.key === mode);
+    const candidates = [];
+    surveyData.features.forEach(f => facet.values(f).forEach(v => { if (v) candidates.push(v); }));
+    const suggestions = suggestClosestValues(value, candidates).map(v => ({
+        hash: `#survey/${mode}/${encodeURIComponent(v)}`,
+        html: escapeHtml(v)
+    }));
+    buildNotFoundPanel({
+        kind: mode,
+        value,
+        title: `${facet.label} Not Found`,
+        message: `No surveyed buildings have the ${facet.label.toLowerCase()} <strong>${escapeHtml(value)}</strong>.`,
+        suggestions,
+        fallbackHash: `#survey/${mode}`,
+        fallbackLabel: `All ${facet.label.toLowerCase()} values`
+    });
+}
+
+function buildPinNotFoundPanel(pin) {
+    const wanted = normalizePin(pin);
+    const suggestions = suggestClosestValues(wanted, Array.from(buildingsByPin.keys()))
+        .map(p => buildingsByPin.get(p)[0])
+        .map(f => ({ hash: `#property/${f.properties.BLDG_ID}`, html: formatListItem(f.properties) }));
+    buildNotFoundPanel({
+        kind: 'pin',
+        value: formatPin(pin) || String(pin),
+        title: 'PIN Not Found',
+        message: `No surveyed building has PIN <strong>${escapeHtml(formatPin(pin) || pin)}</strong>.`,
+        suggestions,
+        fallbackHash: '#survey',
+        fallbackLabel: 'Browse the survey'
+    });
+}
+
+function buildAddressNotFoundPanel(slug) {
+    const query = String(slug || '').replace(/[-_+]+/g, ' ');
+    const suggestions = searchFeatures(query).slice(0, 5)
+        .map(f => ({ hash: `#property/${f.properties.BLDG_ID}`, html: formatListItem(f.properties) }));
+    buildNotFoundPanel({
+        kind: 'address',
+        value: slug,
+        title: 'Address Not Found',
+        message: `We couldn't find <strong>${escapeHtml(query)}</strong> in the survey.`,
+        suggestions,
+        fallbackHash: `#search/${encodeURIComponent(query)}`,
+        fallbackLabel: 'Search for this address'
+    });
+}
+
+// --- PERMALINK PANELS ---
+
+/**
+ * Lists the buildings behind a PIN or address that covers more than one
+ * (e.g. a house and its coach house) so the user can pick one.
+ */
+function buildBuildingChoicePanel(titleHtml, features) {
+    const sorted = features.slice().sort(propertySort);
+    setNavigationList(sorted);
+    const listHtml = sorted.map(f => {
+        const props = f.properties;
+        const detail = [props.CHRS_Type, props.CHRS_Built_Date].filter(Boolean).map(escapeHtml).join(' &middot; ');
+        return `<li data-id="${props.BLDG_ID}"><a>${formatListItem(props)}${detail ? `<div style="color: #888; font-size: 0.8em; margin-top: 2px;">${detail}</div>` : ''}</a></li>`;
+    }).join('');
+    highlightFeatureCache['permalink'] = sorted;
+    setHighlight(sorted, 'permalink');
+
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3><button class="back-button">&larr;</button>${titleHtml} (${sorted.length})</h3>
+        </div>
+        <div class="scrollable-content">
+            <p style="padding: 0 15px; color: #666; font-size: 0.9em;">This covers ${sorted.length} buildings. Choose one:</p>
+            <ul class="item-list">${listHtml}</ul>
+        </div>
+    `;
+    toggleBottomSheet(true);
+}
+
+/**
+ * Fits the map to a handful of buildings, leaving room for the right panel.
+ */
+function fitFeatures(features) {
+    const bounds = L.geoJSON({ type: 'FeatureCollection', features }).getBounds();
+    if (!bounds.isValid()) return;
+    const rightHalf = getRightPanelHalfOffsetPx();
+    map.fitBounds(bounds, { paddingTopLeft: [40, 40], paddingBottomRight: [40 + rightHalf, 40], maxZoom: 18 });
+}
+
 // --- SURVEY SUB-PANELS ---
 
 function buildSurveyPanel() {
@@ -1557,6 +2556,8 @@ function buildSurveyPanel() {
                 <li data-hash="survey/decade"><a>Decade Built</a></li>
                 <li data-hash="survey/architect"><a>Architect</a></li>
                 <li data-hash="survey/style"><a>Building Style</a></li>
+                <li data-hash="survey/filter"><a>Combine Filters</a></li>
+                <li data-hash="survey/timeline"><a>Year Built Timeline</a></li>
             </ul>
             <div class="mobile-footer" style="padding: 15px 0 0 0; color: #666; font-size: 0.9em; line-height: 1.5; border-top: 1px solid #eee; margin-top: 15px;">
                 Explore data from the <strong>Chicago Historic Resources Survey (CHRS)</strong>, a 1996 inventory of historically and architecturally significant structures.
@@ -1569,6 +2570,20 @@ function buildSurveyPanel() {
     toggleBottomSheet(true);
 }
 
+// CHRS ratings from most to least significant
+const CHRS_COLOR_ORDER = ["Red", "Orange", "Yellow", "Yellow/Green", "Green", "Purple", "Blue"];
+
+// Rating descriptions (colors come from the symbology palette)
+const CHRS_COLOR_DESCRIPTIONS = {
+    "Red": "Significant in the broader context of the City of Chicago, the State of Illinois, or the United States of America.",
+    "Orange": "Significant in the context of the surrounding community.",
+    "Yellow": "Relatively unaltered, pre-1940s, part of a concentration of significant buildings.",
+    "Yellow/Green": "Pre-1940s whose exteriors were covered with artificial siding, part of a concentration of significant buildings.",
+    "Green": "Pre-1940s whose exteriors have been slightly altered.",
+    "Purple": "Pre-1940s whose exteriors have been extensively altered.",
+    "Blue": "Constructed after 1940. Too recent to be properly evaluated for significance and were generally not included in the CHRS database."
+};
+
 function buildColorCodeListPanel() {
     clearHighlight();
     highlightFeatureCache = {};
@@ -1581,41 +2596,7 @@ function buildColorCodeListPanel() {
         colorGroups[color].push(f);
     });
 
-    // Specified color order
-    const colorOrder = ["Red", "Orange", "Yellow", "Yellow/Green", "Green", "Purple", "Blue"];
-    const colorKeys = colorOrder.filter(color => colorGroups[color]);
-
-    // Color hex codes and descriptions
-    const colorConfig = {
-        "Red": {
-            hex: "#FF0000",
-            desc: "Significant in the broader context of the City of Chicago, the State of Illinois, or the United States of America."
-        },
-        "Orange": {
-            hex: "#FFA500",
-            desc: "Significant in the context of the surrounding community."
-        },
-        "Yellow": {
-            hex: "#FFFF00",
-            desc: "Relatively unaltered, pre-1940s, part of a concentration of significant buildings."
-        },
-        "Yellow/Green": {
-            hex: "#ADFF2F",
-            desc: "Pre-1940s whose exteriors were covered with artificial siding, part of a concentration of significant buildings."
-        },
-        "Green": {
-            hex: "#008000",
-            desc: "Pre-1940s whose exteriors have been slightly altered."
-        },
-        "Purple": {
-            hex: "#800080",
-            desc: "Pre-1940s whose exteriors have been extensively altered."
-        },
-        "Blue": {
-            hex: "#0000FF",
-            desc: "Constructed after 1940. Too recent to be properly evaluated for significance and were generally not included in the CHRS database."
-        }
-    };
+    const colorKeys = CHRS_COLOR_ORDER.filter(color => colorGroups[color]);
 
     let listHtml;
     if (colorKeys.length === 0) {
@@ -1624,13 +2605,12 @@ function buildColorCodeListPanel() {
         listHtml = `<ul class="item-list">${colorKeys.map(color => {
             const highlightKey = `survey/color:${color}`;
             highlightFeatureCache[highlightKey] = colorGroups[color];
-            const config = colorConfig[color] || { hex: color.toLowerCase(), desc: "" };
             return `<li class="filter-list-item" data-color="${color}">
                         <span class="filter-item-text">
-                            <span class="color-swatch" style="background-color: ${config.hex}"></span>
+                            <span class="color-swatch" style="background: ${getChrsSwatchCss(color)}"></span>
                             <div>
                                 <div>${color} (${colorGroups[color].length})</div>
-                                <div style="font-size: 0.8em; color: #666; margin-top: 2px;">${config.desc}</div>
+                                <div style="font-size: 0.8em; color: #666; margin-top: 2px;">${CHRS_COLOR_DESCRIPTIONS[color] || ''}</div>
                             </div>
                         </span>
                         ${renderHighlightButton(highlightKey, color)}
@@ -1756,7 +2736,7 @@ function buildArchitectListPanel() {
         const groupedHtml = alphabet.filter(letter => byLetter[letter]).map(letter => {
             const architects = byLetter[letter];
             const itemsHtml = architects.map(architect => {
-                const color = stringToColor(architect);
+                const color = getCategoryColor('architect', architect);
                 const highlightKey = `survey/architect:${architect}`;
                 highlightFeatureCache[highlightKey] = architectGroups[architect];
                 return `<li class="filter-list-item" data-architect="${architect}">
@@ -1827,7 +2807,7 @@ function buildStyleListPanel() {
         listHtml = '<p>No building styles available.</p>';
     } else {
         listHtml = `<ul class="item-list">${styleKeys.map(style => {
-            const color = stringToColor(style);
+            const color = getCategoryColor('style', style);
             const highlightKey = `survey/style:${style}`;
             highlightFeatureCache[highlightKey] = styleGroups[style];
             return `<li class="filter-list-item" data-style="${style}">
@@ -1859,15 +2839,13 @@ function buildColorCodeDetailPanel(color) {
     let filteredFeatures = features;
 
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredFeatures = features.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        filteredFeatures = filterFeaturesInView(features);
     }
 
     filteredFeatures.sort(propertySort);
 
     // Update global navigation list
-    currentNavigationList = filteredFeatures;
+    setNavigationList(filteredFeatures);
     let listHtml = filteredFeatures.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('');
 
     const highlightKey = `survey/color:${color}`;
@@ -1881,7 +2859,7 @@ function buildColorCodeDetailPanel(color) {
             <h3><button class="back-button">&larr;</button>${color} (${filteredFeatures.length})</h3>
             ${followToggleHtml}
         </div>
-        <div class="scrollable-content"><ul class="item-list">${listHtml}</ul></div>
+        <div class="scrollable-content">${renderRefineLink('color', color)}<ul class="item-list">${listHtml}</ul></div>
     `;
     toggleBottomSheet(true);
     restoreScrollPosition();
@@ -1892,15 +2870,13 @@ function buildDecadeDetailPanel(decade) {
     let filteredFeatures = features;
 
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredFeatures = features.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        filteredFeatures = filterFeaturesInView(features);
     }
 
     filteredFeatures.sort(propertySort);
 
     // Update global navigation list
-    currentNavigationList = filteredFeatures;
+    setNavigationList(filteredFeatures);
     let listHtml = filteredFeatures.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('');
 
     const highlightKey = `survey/decade:${decade}`;
@@ -1914,7 +2890,7 @@ function buildDecadeDetailPanel(decade) {
             <h3><button class="back-button">&larr;</button>${decade} (${filteredFeatures.length})</h3>
             ${followToggleHtml}
         </div>
-        <div class="scrollable-content"><ul class="item-list">${listHtml}</ul></div>
+        <div class="scrollable-content">${renderRefineLink('decade', decade)}<ul class="item-list">${listHtml}</ul></div>
     `;
     toggleBottomSheet(true);
     restoreScrollPosition();
@@ -1925,15 +2901,13 @@ function buildArchitectDetailPanel(architect) {
     let filteredFeatures = features;
 
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredFeatures = features.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        filteredFeatures = filterFeaturesInView(features);
     }
 
     filteredFeatures.sort(propertySort);
 
     // Update global navigation list
-    currentNavigationList = filteredFeatures;
+    setNavigationList(filteredFeatures);
     let listHtml = filteredFeatures.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('');
 
     const highlightKey = `survey/architect:${architect}`;
@@ -1947,7 +2921,7 @@ function buildArchitectDetailPanel(architect) {
             <h3><button class="back-button">&larr;</button>${architect} (${filteredFeatures.length})</h3>
             ${followToggleHtml}
         </div>
-        <div class="scrollable-content"><ul class="item-list">${listHtml}</ul></div>
+        <div class="scrollable-content">${renderRefineLink('architect', architect)}<ul class="item-list">${listHtml}</ul></div>
     `;
     toggleBottomSheet(true);
     restoreScrollPosition();
@@ -1958,15 +2932,13 @@ function buildStyleDetailPanel(style) {
     let filteredFeatures = features;
 
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredFeatures = features.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        filteredFeatures = filterFeaturesInView(features);
     }
 
     filteredFeatures.sort(propertySort);
 
     // Update global navigation list
-    currentNavigationList = filteredFeatures;
+    setNavigationList(filteredFeatures);
     let listHtml = filteredFeatures.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('');
 
     const highlightKey = `survey/style:${style}`;
@@ -2011,17 +2983,360 @@ function buildStyleDetailPanel(style) {
 
     sheetContent.innerHTML = `
         <div class="sheet-header">
-            <h3><button class="back-button">&larr;</button>${style} (${filteredFeatures.length})</h3>
-            ${followToggleHtml}
+            <h3><button class="back-button">&larr;</button>${style} (${filteredFeatures.length})</h3>
+            ${followToggleHtml}
+        </div>
+        <div class="scrollable-content">
+            ${renderRefineLink('style', style)}
+            <ul class="item-list">${listHtml}</ul>
+            ${footerHtmlMobile}
+        </div>
+        ${footerHtmlDesktop}
+    `;
+    toggleBottomSheet(true);
+    restoreScrollPosition();
+}
+
+// --- SURVEY FACETS (#survey/filter?color=Orange&style=Prairie&...) ---
+
+// Dimensions that can be combined on #survey/filter. `values` returns
+// every value a feature has for the dimension (districts overlap, so a
+// property can have more than one).
+const SURVEY_FACETS = [
+    { key: 'color', label: 'Color Code', values: (f) => [f.properties.CHRS_Color] },
+    { key: 'style', label: 'Building Style', values: (f) => [f.properties['CHRS_Building Style']] },
+    { key: 'decade', label: 'Decade Built', values: (f) => [f.properties.decade] },
+    { key: 'architect', label: 'Architect', values: (f) => [f.properties.CHRS_Architect] },
+    { key: 'district', label: 'District', values: (f) => findDistrictNamesForProperty(f.properties.BLDG_ID) }
+];
+
+/**
+ * Parses the query part of a #survey/filter hash into { key: value }.
+ * Unknown keys and empty values are dropped.
+ */
+function parseSurveyFacets(queryString) {
+    const facets = {};
+    const params = new URLSearchParams(queryString || '');
+    SURVEY_FACETS.forEach(({ key }) => {
+        const value = (params.get(key) || '').trim();
+        if (value) facets[key] = value;
+    });
+    return facets;
+}
+
+/**
+ * Builds the #survey/filter hash for a set of facets, keys in
+ * SURVEY_FACETS order so the same filter always gets the same URL.
+ */
+function surveyFacetsToHash(facets) {
+    const params = new URLSearchParams();
+    SURVEY_FACETS.forEach(({ key }) => {
+        if (facets[key]) params.set(key, facets[key]);
+    });
+    const query = params.toString();
+    return query ? `#survey/filter?${query}` : '#survey/filter';
+}
+
+/**
+ * True when the feature matches every facet. Values compare
+ * case-insensitively so hand-typed URLs (color=orange) still work.
+ */
+function featureMatchesFacets(feature, facets) {
+    return SURVEY_FACETS.every(({ key, values }) => {
+        if (!facets[key]) return true;
+        const wanted = facets[key].toLowerCase();
+        return values(feature).some(v => v && String(v).toLowerCase() === wanted);
+    });
+}
+
+/**
+ * Small "Refine…" link for the single-dimension detail panels that opens
+ * the faceted view seeded with the current value.
+ */
+function renderRefineLink(key, value) {
+    const hash = surveyFacetsToHash({ [key]: value });
+    return `<a href="${escapeHtml(hash)}" style="display: block; padding: 10px 15px; color: #4285F4; font-size: 0.9em; text-decoration: none; border-bottom: 1px solid #eee;">Refine with more filters&hellip;</a>`;
+}
+
+function buildFacetedSurveyPanel(facets) {
+    const features = surveyData.features.filter(f => featureMatchesFacets(f, facets));
+    let filteredFeatures = features;
+
+    if (isMapFollowEnabled) {
+        filteredFeatures = filterFeaturesInView(features);
+    }
+
+    filteredFeatures.sort(propertySort);
+
+    // Update global navigation list
+    setNavigationList(filteredFeatures);
+
+    const activeKeys = SURVEY_FACETS.filter(({ key }) => facets[key]);
+    const chipsHtml = activeKeys.length === 0
+        ? '<span style="color: #666; font-size: 0.9em;">No filters yet &mdash; add one below.</span>'
+        : activeKeys.map(({ key, label }) => `
+            <span class="facet-chip" style="display: inline-flex; align-items: center; gap: 6px; padding: 4px 6px 4px 10px; margin: 0 6px 6px 0; border: 1px solid #4285F4; border-radius: 14px; font-size: 0.85em; color: #4285F4; background: #fff;">
+                ${label}: <strong>${escapeHtml(facets[key])}</strong>
+                <button type="button" class="facet-remove" data-facet="${key}" aria-label="Remove ${label} filter" style="border: none; background: none; color: #4285F4; cursor: pointer; font-size: 1.1em; line-height: 1; padding: 0 4px;">&times;</button>
+            </span>`).join('');
+
+    // Offer the values present in the current matches so every choice
+    // narrows the list rather than emptying it.
+    const selectsHtml = SURVEY_FACETS.filter(({ key }) => !facets[key]).map(({ key, label, values }) => {
+        const counts = {};
+        features.forEach(f => values(f).forEach(v => { if (v) counts[v] = (counts[v] || 0) + 1; }));
+        const options = Object.keys(counts).sort();
+        if (options.length === 0) return '';
+        return `<select class="facet-select" data-facet="${key}" style="margin: 0 6px 6px 0; padding: 4px; font-size: 0.85em; max-width: 100%;">
+                    <option value="">+ ${label}</option>
+                    ${options.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)} (${counts[v]})</option>`).join('')}
+                </select>`;
+    }).join('');
+
+    const listHtml = filteredFeatures.length > 0
+        ? `<ul class="item-list">${filteredFeatures.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('')}</ul>`
+        : '<p style="padding: 0 15px;">No properties match these filters.</p>';
+
+    const highlightKey = `survey/filter:${surveyFacetsToHash(facets)}`;
+    const highlightTargets = highlightFeatureCache[highlightKey] || features;
+    highlightFeatureCache[highlightKey] = highlightTargets;
+    if (activeKeys.length > 0) setHighlight(highlightTargets, highlightKey);
+    else clearHighlight();
+
+    const followToggleHtml = `<button id="follow-map-toggle" class="pill ${isMapFollowEnabled ? 'active' : ''}">Follow map</button>`;
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3><button class="back-button">&larr;</button>Filter (${filteredFeatures.length})</h3>
+            ${followToggleHtml}
+        </div>
+        <div class="facet-bar" style="padding: 10px 15px 4px; border-bottom: 1px solid #eee; background: #fff;">
+            <div>${chipsHtml}</div>
+            <div>${selectsHtml}</div>
+        </div>
+        <div class="scrollable-content">${listHtml}</div>
+    `;
+
+    sheetContent.querySelectorAll('.facet-remove').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const next = { ...facets };
+            delete next[btn.dataset.facet];
+            navigateTo(surveyFacetsToHash(next));
+        });
+    });
+    sheetContent.querySelectorAll('.facet-select').forEach(select => {
+        select.addEventListener('change', () => {
+            if (!select.value) return;
+            trackEvent('survey_facet_add', { facet: select.dataset.facet });
+            navigateTo(surveyFacetsToHash({ ...facets, [select.dataset.facet]: select.value }));
+        });
+    });
+
+    toggleBottomSheet(true);
+    restoreScrollPosition();
+}
+
+
+// --- YEAR BUILT TIMELINE (#survey/timeline) ---
+// Plays the neighborhood's growth year by year. Buildings appear once
+// their CHRS_Built_Date (or YEAR_BUILT) is reached; dates that are only
+// a range ("1910s", "1905-10", "1940+") show dashed and faint from the
+// first possible year until the range is over.
+
+const TIMELINE_STEP_MS = 300; // One year per step while playing
+
+let timelineYear = null; // Year on the map; null until first opened
+let timelinePlayTimer = null;
+let timelineControl = null;
+let timelineBounds = null; // Cached getTimelineBounds result
+
+/**
+ * Built-year range for a feature (see parseBuiltYearRange), cached on
+ * the feature like _centroid.
+ */
+function getBuiltYearRange(feature) {
+    if (feature._builtRange === undefined) {
+        const props = feature.properties;
+        feature._builtRange = parseBuiltYearRange(props.CHRS_Built_Date) || parseBuiltYearRange(props.YEAR_BUILT);
+    }
+    return feature._builtRange;
+}
+
+/**
+ * 'built', 'uncertain' (inside its date range), 'future' or 'undated'.
+ */
+function getTimelineState(feature, year) {
+    const range = getBuiltYearRange(feature);
+    if (!range) return 'undated';
+    if (year < range.from) return 'future';
+    if (range.exact || (range.to !== null && year >= range.to)) return 'built';
+    return 'uncertain';
+}
+
+/**
+ * First and last year the slider covers: { min, max }.
+ */
+function getTimelineBounds() {
+    if (timelineBounds) return timelineBounds;
+    let min = Infinity;
+    let max = -Infinity;
+    surveyData.features.forEach(f => {
+        const range = getBuiltYearRange(f);
+        if (!range) return;
+        min = Math.min(min, range.from);
+        max = Math.max(max, range.to === null ? range.from : range.to);
+    });
+    timelineBounds = min === Infinity ? { min: 1870, max: 1960 } : { min, max };
+    return timelineBounds;
+}
+
+function getTimelineYear() {
+    if (timelineYear === null) timelineYear = getTimelineBounds().max; // open on the finished map
+    return timelineYear;
+}
+
+/**
+ * Counts for the panel summary: { built, uncertain, undated }.
+ */
+function countTimelineStates(year) {
+    const counts = { built: 0, uncertain: 0, future: 0, undated: 0 };
+    surveyData.features.forEach(f => { counts[getTimelineState(f, year)]++; });
+    return counts;
+}
+
+/**
+ * Survey layer style for the timeline: decade fill, faint and dashed
+ * while the building's date is still uncertain.
+ */
+function getTimelineStyle(feature, year) {
+    const range = getBuiltYearRange(feature);
+    const decade = feature.properties.decade || (range ? getDecade(String(range.from)) : null);
+    const style = getSymbologyFillStyle(getDecadeColor(decade));
+    if (getTimelineState(feature, year) === 'uncertain') {
+        style.fillOpacity = style.fillOpacity * 0.35;
+        style.dashArray = '3 3';
+    }
+    return style;
+}
+
+/**
+ * Moves the map to `year` and updates the slider and panel summary.
+ */
+function setTimelineYear(year) {
+    const { min, max } = getTimelineBounds();
+    timelineYear = Math.min(max, Math.max(min, Math.round(year)));
+    updateSurveyLayer('timeline', timelineYear);
+    renderTimelineControl();
+    renderTimelineSummary();
+}
+
+function playTimeline() {
+    const { min, max } = getTimelineBounds();
+    if (getTimelineYear() >= max) setTimelineYear(min); // replay from the start
+    trackEvent('timeline_play', { year: timelineYear });
+    timelinePlayTimer = setInterval(() => {
+        if (timelineYear >= max) {
+            pauseTimeline();
+            return;
+        }
+        setTimelineYear(timelineYear + 1);
+    }, TIMELINE_STEP_MS);
+    renderTimelineControl();
+}
+
+function pauseTimeline() {
+    if (timelinePlayTimer) clearInterval(timelinePlayTimer);
+    timelinePlayTimer = null;
+    renderTimelineControl();
+}
+
+const TimelineControl = L.Control.extend({
+    options: { position: 'topright' },
+
+    onAdd: function () {
+        const { min, max } = getTimelineBounds();
+        const div = L.DomUtil.create('div', 'timeline-control leaflet-bar');
+        div.innerHTML = `
+            <button class="timeline-play" aria-label="Play">&#9654;</button>
+            <input type="range" class="timeline-range" min="${min}" max="${max}" step="1" aria-label="Year built">
+            <span class="timeline-year"></span>
+        `;
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+        L.DomEvent.on(div.querySelector('.timeline-play'), 'click', () => {
+            if (timelinePlayTimer) pauseTimeline();
+            else playTimeline();
+        });
+        // Scrubbing stops playback
+        L.DomEvent.on(div.querySelector('.timeline-range'), 'input', (e) => {
+            pauseTimeline();
+            setTimelineYear(parseInt(e.target.value, 10));
+        });
+        this._div = div;
+        return div;
+    }
+});
+
+function showTimelineControl() {
+    if (!timelineControl) {
+        timelineControl = new TimelineControl();
+        timelineControl.addTo(map);
+    }
+    renderTimelineControl();
+}
+
+function hideTimelineControl() {
+    pauseTimeline();
+    if (timelineControl) map.removeControl(timelineControl);
+    timelineControl = null;
+}
+
+function renderTimelineControl() {
+    if (!timelineControl || !timelineControl._div) return;
+    const div = timelineControl._div;
+    const playing = !!timelinePlayTimer;
+    const button = div.querySelector('.timeline-play');
+    button.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+    button.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    div.querySelector('.timeline-range').value = getTimelineYear();
+    div.querySelector('.timeline-year').textContent = getTimelineYear();
+}
+
+function renderTimelineSummary() {
+    const el = document.getElementById('timeline-summary');
+    if (!el) return;
+    const counts = countTimelineStates(getTimelineYear());
+    el.innerHTML = `
+        <div style="font-size: 1.6em; font-weight: 700; color: #333;">${getTimelineYear()}</div>
+        <div>${counts.built} buildings standing</div>
+        <div>${counts.uncertain} more may be (date given only as a range)</div>
+    `;
+}
+
+function buildTimelinePanel() {
+    clearHighlight();
+    const undated = countTimelineStates(getTimelineYear()).undated;
+    const decades = ["1870s or earlier", "1880s", "1890s", "1900s", "1910s", "1920s", "1930s", "1940 or later"];
+    sheetContent.innerHTML = `
+        <div class="sheet-header">
+            <h3><button class="back-button">&larr;</button>Year Built Timeline</h3>
         </div>
-        <div class="scrollable-content">
-            <ul class="item-list">${listHtml}</ul>
-            ${footerHtmlMobile}
+        <div class="scrollable-content" style="padding: 0 15px 15px 15px; line-height: 1.5; color: #444;">
+            <p>Press play on the map's timeline to watch the neighborhood grow, or drag the slider to a year.</p>
+            <div id="timeline-summary" style="margin-bottom: 15px;"></div>
+            <div style="display: flex; align-items: center; margin-bottom: 6px;">
+                <span class="color-swatch" style="background-color: #999; opacity: 0.35; border-style: dashed; margin-top: 0;"></span>
+                <span>Dashed and faint: the survey gives a range such as "1910s" or "1940+", and that range isn't over yet.</span>
+            </div>
+            <h4 style="padding: 15px 0 5px 0; margin: 0; color: #666; text-transform: uppercase; font-size: 0.9em; letter-spacing: 0.5px;">Decade built</h4>
+            <ul style="list-style: none; padding: 0; margin: 0;">
+                ${decades.map(d => `<li style="display: flex; align-items: center; padding: 2px 0;"><span class="color-swatch" style="background-color: ${getDecadeColor(d)}; margin-top: 0;"></span>${d}</li>`).join('')}
+            </ul>
+            ${undated > 0 ? `<p style="color: #888; font-size: 0.9em;">${undated} buildings have no built date and aren't shown.</p>` : ''}
         </div>
-        ${footerHtmlDesktop}
     `;
+    renderTimelineSummary();
     toggleBottomSheet(true);
-    restoreScrollPosition();
 }
 
 
@@ -2060,22 +3375,29 @@ function buildDistrictDetailsPanel(districtFeature) {
 
     let filteredProperties = propertiesInside;
     if (isMapFollowEnabled) {
-        const featuresInView = getFeaturesInView();
-        const inViewIds = new Set(featuresInView.map(f => f.properties.BLDG_ID));
-        filteredProperties = propertiesInside.filter(f => inViewIds.has(f.properties.BLDG_ID));
+        filteredProperties = filterFeaturesInView(propertiesInside);
     }
 
     filteredProperties.sort(propertySort);
 
     // Update global navigation list
-    currentNavigationList = filteredProperties;
+    setNavigationList(filteredProperties);
+
+    const listRibbonStyle = 'height: 24px; width: 24px; margin-left: 10px; flex-shrink: 0; display: block;';
+
+    // Note any other districts a property also belongs to (boundaries overlap)
+    const otherDistrictsHtml = (f) => {
+        const others = findDistrictNamesForProperty(f.properties.BLDG_ID).filter(n => n !== districtName);
+        if (others.length === 0) return '';
+        return `<div style="color: #888; font-size: 0.85em; margin-top: 2px;">Also in ${others.join(', ')}</div>`;
+    };
 
     // *** FIX: Jump to Street Logic ***
-    const districtsWithJump = ['Ridge Historic District', 'Brainerd Bungalow Historic District'];
+    const registryEntry = getDistrictRegistryEntry(districtName);
     let jumpBarHtml = '';
     let listContentHtml = '';
 
-    if (districtsWithJump.includes(districtName) && filteredProperties.length > 20) {
+    if (registryEntry && registryEntry.jumpBar && filteredProperties.length > 20) {
         // Group by Street Name
         const streetGroups = {};
         filteredProperties.forEach(f => {
@@ -2098,25 +3420,11 @@ function buildDistrictDetailsPanel(districtFeature) {
         listContentHtml = sortedStreets.map(st => {
             const items = streetGroups[st];
             const groupHtml = items.map(f => {
-                let ribbonHtml = '';
-                if (districtName === 'Ridge Historic District') {
-                    const contrib = f.properties.contributing_ridge_historic_district;
-                    let ribbonIcon = 'ribbon-undetermined.svg';
-                    let ribbonTitle = 'Undetermined contribution to the Ridge Historic District';
-
-                    if (contrib === 'Y' || contrib === 'C') {
-                        ribbonIcon = 'ribbon-gold.svg';
-                        ribbonTitle = 'Contributing property to the Ridge Historic District';
-                    } else if (contrib === 'N') {
-                        ribbonIcon = 'ribbon-noncontributing.svg';
-                        ribbonTitle = 'Non-contributing property in the Ridge Historic District';
-                    }
-                    ribbonHtml = `<img src="${ribbonIcon}" data-tooltip="${ribbonTitle}" style="height: 24px; width: 24px; margin-left: 10px; flex-shrink: 0; display: block;" />`;
-                }
+                const ribbonHtml = renderContributingRibbon(districtName, f.properties, listRibbonStyle);
 
                 return `<li data-id="${f.properties.BLDG_ID}">
                             <a style="display: flex; justify-content: space-between; align-items: center; width: 100%;">
-                                <span>${formatListItem(f.properties)}</span>
+                                <span>${formatListItem(f.properties)}${otherDistrictsHtml(f)}</span>
                                 ${ribbonHtml}
                             </a>
                         </li>`;
@@ -2132,25 +3440,11 @@ function buildDistrictDetailsPanel(districtFeature) {
         // Standard List
         listContentHtml = filteredProperties.length === 0 ? '<p>No properties from the survey found in this district.</p>' :
             `<ul class="item-list">${filteredProperties.map(f => {
-                let ribbonHtml = '';
-                if (districtName === 'Ridge Historic District') {
-                    const contrib = f.properties.contributing_ridge_historic_district;
-                    let ribbonIcon = 'ribbon-undetermined.svg';
-                    let ribbonTitle = 'Undetermined contribution to the Ridge Historic District';
-
-                    if (contrib === 'Y' || contrib === 'C') {
-                        ribbonIcon = 'ribbon-gold.svg';
-                        ribbonTitle = 'Contributing property to the Ridge Historic District';
-                    } else if (contrib === 'N') {
-                        ribbonIcon = 'ribbon-noncontributing.svg';
-                        ribbonTitle = 'Non-contributing property in the Ridge Historic District';
-                    }
-                    ribbonHtml = `<img src="${ribbonIcon}" data-tooltip="${ribbonTitle}" style="height: 24px; width: 24px; margin-left: 10px; flex-shrink: 0; display: block;" />`;
-                }
+                const ribbonHtml = renderContributingRibbon(districtName, f.properties, listRibbonStyle);
 
                 return `<li data-id="${f.properties.BLDG_ID}">
                             <a style="display: flex; justify-content: space-between; align-items: center; width: 100%;">
-                                <span>${formatListItem(f.properties)}</span>
+                                <span>${formatListItem(f.properties)}${otherDistrictsHtml(f)}</span>
                                 ${ribbonHtml}
                             </a>
                         </li>`;
@@ -2196,49 +3490,9 @@ function buildDistrictDetailsPanel(districtFeature) {
    MODAL & CONTENT SYSTEM
    ============================================================ */
 
+// Info modal text that isn't tied to a district. District text lives in
+// districts.json (`info`) and is looked up first by openModal().
 const districtContent = {
-    'Ridge Historic District': {
-        title: 'Ridge Historic District',
-        body: `
-            <h4>About this District</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced.</b> The Ridge Historic District is one of Chicago's largest historic districts, encompassing a significant collection of residential architecture from the late 19th and early 20th centuries.</p>
-            <h4>Tax Incentives</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced. </b>Properties within this district may be eligible for the <strong>Property Tax Assessment Freeze Program</strong>. This program freezes the assessed value of the property for 8-12 years if the owner undertakes a substantial rehabilitation.</p>
-            <h4>Permit Requirements</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced. </b>Exterior work visible from the public right-of-way requires review by the Commission on Chicago Landmarks. This ensures that alterations maintain the historic character of the district.</p>
-            <p><a href="https://www.chicago.gov/city/en/depts/dcd/supp_info/landmarks/ridge_historic_district.html" target="_blank">Official City Page &rarr;</a></p>
-        `
-    },
-    'Brainerd Bungalow Historic District': {
-        title: 'Brainerd Bungalow Historic District',
-        body: `
-            <h4>About this District</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced. </b>This district is a fine example of the "Chicago Bungalow" style that dominated residential construction in the early 20th century.</p>
-            <h4>Historic Chicago Bungalow Association</h4> `
-    },
-    'Longwood Drive': {
-        title: 'Longwood Drive Historic District',
-        body: `
-            <h4>About this District</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced.</b> Known for its grand estate homes situated on the ridge, Longwood Drive features unique topography and high-style architecture.</p>
-            <h4>Landmark Status</h4>
-            <p>As a designated Chicago Landmark district, all exterior permits are reviewed by the Landmarks Commission.</p>
-        `
-    },
-    'Walter Burley Griffin Place': {
-        title: 'Walter Burley Griffin Place',
-        body: `
-            <h4>About this District</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced.</b> This district includes unique collection of Prairie School homes designed by Walter Burley Griffin, a contemporary of Frank Lloyd Wright.</p>
-        `
-    },
-    'Beverly/Morgan Park Railroad Station': {
-        title: 'Railroad Station District',
-        body: `
-            <h4>About this District</h4>
-            <p><b style="color: red;">This text copy is temporary/sample and will be replaced.</b> This district protects the historic Rock Island commuter rail stations that were vital to the development of the Beverly Hills and Morgan Park communities.</p>
-        `
-    },
     'Individual Landmark': {
         title: 'Individual Chicago Landmark',
         body: `
@@ -2260,19 +3514,16 @@ const districtContent = {
     },
     'CHRS_Color': {
         title: 'CHRS Color Codes',
-        body: `
+        // A getter, so the swatches follow the palette chosen at open time
+        get body() {
+            return `
             <h4>Understanding the Colors</h4>
             <p><b style="color: red;">This text copy is temporary/sample and will be replaced.</b>  The survey assigned a color code to each property reflecting its significance relative to others in the survey.</p>
             <ul style="list-style: none; padding: 0;">
-                <li style="margin-bottom: 10px;"><strong style="color: #FF0000;">Red</strong>: Significant in the broader context of the City of Chicago, the State of Illinois, or the United States of America.</li>
-                <li style="margin-bottom: 10px;"><strong style="color: #FFA500;">Orange</strong>: Significant in the context of the surrounding community.</li>
-                <li style="margin-bottom: 10px;"><strong style="color: #FFFF00;">Yellow</strong>: Relatively unaltered, pre-1940s, part of a concentration of significant buildings.</li>
-                <li style="margin-bottom: 10px;"><strong style="color: #ADFF2F;">Yellow/Green</strong>: Pre-1940s whose exteriors were covered with artificial siding, part of a concentration of significant buildings.</li>
-                <li style="margin-bottom: 10px;"><strong style="color: #008000;">Green</strong>: Pre-1940s whose exteriors have been slightly altered.</li>
-                <li style="margin-bottom: 10px;"><strong style="color: #800080;">Purple</strong>: Pre-1940s whose exteriors have been extensively altered.</li>
-                <li style="margin-bottom: 10px;"><strong style="color: #0000FF;">Blue</strong>: Constructed after 1940. Too recent to be properly evaluated for significance and were generally not included in the CHRS database.</li>
+                ${CHRS_COLOR_ORDER.map(color => `<li style="margin-bottom: 10px; display: flex;"><span class="color-swatch" style="background: ${getChrsSwatchCss(color)}"></span><span><strong>${color}</strong>: ${CHRS_COLOR_DESCRIPTIONS[color]}</span></li>`).join('')}
             </ul>
-        `
+        `;
+        }
     }
 };
 
@@ -2287,7 +3538,8 @@ function openModal(key, contentOverride = null) {
     if (contentOverride) {
         content = { title: key, body: contentOverride };
     } else {
-        content = districtContent[key] || { title: key, body: '<p>No additional information available.</p>' };
+        const registryEntry = getDistrictRegistryEntry(key);
+        content = (registryEntry && registryEntry.info) || districtContent[key] || { title: key, body: '<p>No additional information available.</p>' };
     }
     modalTitle.textContent = content.title;
     modalBody.innerHTML = content.body;
@@ -2421,15 +3673,8 @@ function updateSheetContent(address, props, imageHtml) {
     const targetContent = (window.innerWidth >= 768 && rightSheetContent) ? rightSheetContent : sheetContent;
 
     // Build historic districts list based on boolean/flag properties
-    const districtFlags = [
-        { key: 'ridge_historic_district', label: 'Ridge Historic District' },
-        { key: 'brainerd_bungalow_historic_district', label: 'Brainerd Bungalow Historic District' },
-        { key: 'longwood_drive_historic_district', label: 'Longwood Drive' },
-        { key: 'walter_burley_griffin_place', label: 'Walter Burley Griffin Place' },
-        { key: 'railroad_station_district', label: 'Beverly/Morgan Park Railroad Station' }
-    ];
     const districts = [];
-    districtFlags.forEach(df => {
+    getDistrictFlagColumns().forEach(df => {
         try {
             if (props && props[df.key]) {
                 // Treat any truthy/non-null value as membership
@@ -2437,6 +3682,11 @@ function updateSheetContent(address, props, imageHtml) {
             }
         } catch (e) { }
     });
+    // Also list every district whose boundary contains the building, so a
+    // property in overlapping districts shows all of them.
+    findDistrictNamesForProperty(props.BLDG_ID).forEach(name => {
+        if (!districts.includes(name)) districts.push(name);
+    });
     if (props && props.individual_landmark) {
         const v = String(props.individual_landmark).trim().toUpperCase();
         if (v === 'Y' || v === 'YES') districts.push('Individual Landmark');
@@ -2447,22 +3697,7 @@ function updateSheetContent(address, props, imageHtml) {
 
     const districtsHtml = districts.length > 0 ?
         `<ul class="district-list">${districts.map(d => {
-            let ribbonHtml = '';
-            if (d === 'Ridge Historic District') {
-                // Check if contributing
-                const contrib = val(props.contributing_ridge_historic_district);
-                let ribbonIcon = 'ribbon-undetermined.svg';
-                let ribbonTitle = 'Undetermined contribution to the Ridge Historic District';
-
-                if (contrib === 'Y' || contrib === 'C') {
-                    ribbonIcon = 'ribbon-gold.svg';
-                    ribbonTitle = 'Contributing property to the Ridge Historic District';
-                } else if (contrib === 'N') {
-                    ribbonIcon = 'ribbon-noncontributing.svg';
-                    ribbonTitle = 'Non-contributing property in the Ridge Historic District';
-                }
-                ribbonHtml = `<img src="${ribbonIcon}" data-tooltip="${ribbonTitle}" style="height: 18px; width: 18px; margin-left: 8px; vertical-align: middle; display: inline-block;" />`;
-            }
+            const ribbonHtml = renderContributingRibbon(d, props, 'height: 18px; width: 18px; margin-left: 8px; vertical-align: middle; display: inline-block;');
             return `
             <li style="display: flex; align-items: center; justify-content: space-between;">
                 <span style="display: flex; align-items: center;">&bull; ${d}${ribbonHtml}</span>
@@ -2473,19 +3708,8 @@ function updateSheetContent(address, props, imageHtml) {
         }).join('')}</ul>`
         : '<div class="district-none">None</div>';
 
-    // Helper for Color Code
-    const getColorHex = (colorName) => {
-        if (!colorName) return '#333';
-        const c = colorName.toLowerCase();
-        if (c === 'yellow/green') return '#ADFF2F';
-        if (c.includes('red')) return '#d32f2f';
-        if (c.includes('orange')) return '#f57c00';
-        if (c.includes('yellow')) return '#fbc02d';
-        if (c.includes('green')) return '#388e3c';
-        if (c.includes('purple')) return '#7b1fa2';
-        if (c.includes('blue')) return '#1976d2';
-        return '#333';
-    };
+    // Helper for Color Code (same palette as the map)
+    const getColorHex = (colorName) => getChrsColor(colorName) || '#333';
 
     // CHRS section
     const inChrs = val(props && props.CHRS_Address);
@@ -2513,7 +3737,7 @@ function updateSheetContent(address, props, imageHtml) {
             <div class="meta-row">
                 <span class="meta-key">Color code:</span>
                 <span class="meta-val">
-                    ${colorVal ? `<button class="info-btn" data-district="CHRS_Color" style="margin: 0; padding: 0; color: ${colorHex}; text-decoration: underline; text-decoration-style: dotted; text-decoration-color: #999; cursor: pointer; font-weight: bold; background-color: transparent !important;">${colorVal}</button>` : 'N/A'}
+                    ${colorVal ? `<span class="color-swatch card-chrs-swatch" data-color="${colorVal}" style="background: ${getChrsSwatchCss(colorVal)}; width: 14px; height: 14px; margin: 0 6px 0 0; align-self: center;"></span><button class="info-btn card-chrs-color" data-district="CHRS_Color" data-color="${colorVal}" style="margin: 0; padding: 0; color: #333; text-decoration: underline; text-decoration-thickness: 2px; text-decoration-color: ${colorHex}; cursor: pointer; font-weight: bold; background-color: transparent !important;">${colorVal}</button>` : 'N/A'}
                 </span>
             </div>
         </div>
@@ -2540,7 +3764,7 @@ function updateSheetContent(address, props, imageHtml) {
     let nextId = null;
 
     if (!isMapFollowEnabled && currentNavigationList && currentNavigationList.length > 0) {
-        const currentIndex = currentNavigationList.findIndex(f => f.properties.BLDG_ID === props.BLDG_ID);
+        const currentIndex = getNavigationPosition(props.BLDG_ID);
         if (currentIndex !== -1) {
             const total = currentNavigationList.length;
             const displayIndex = currentIndex + 1;
@@ -2633,7 +3857,7 @@ function updateSheetContent(address, props, imageHtml) {
         prevBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             const id = e.currentTarget.dataset.id;
-            if (id) window.location.hash = `#property/${id}`;
+            if (id) navigateTo(`#property/${id}`);
         });
     }
 
@@ -2641,7 +3865,7 @@ function updateSheetContent(address, props, imageHtml) {
         nextBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             const id = e.currentTarget.dataset.id;
-            if (id) window.location.hash = `#property/${id}`;
+            if (id) navigateTo(`#property/${id}`);
         });
     }
 
@@ -2654,28 +3878,17 @@ function updateSheetContent(address, props, imageHtml) {
             e.stopPropagation(); // Stop bubbling
 
             if (window.innerWidth >= 768) {
-                // Desktop: hide right sheet
+                // Desktop: hide right sheet straight away; the router
+                // finishes the job once history lands on the list entry
                 if (rightSheet) rightSheet.classList.remove('property-view-active');
-                appContainer.classList.remove('panel-open');
                 // Re-center map if needed
                 setTimeout(() => map.invalidateSize(), 300);
             } else {
-                // Mobile: Return to the last list view if available
-                if (lastListHash && lastListHash !== '#') {
-                    window.location.hash = lastListHash;
-                } else {
-                    // Fallback: minimize and clear hash
-                    bottomSheet.classList.remove('property-view-active');
-                    toggleBottomSheet(false);
-                    // Clear hash if it's a property hash
-                    if (window.location.hash.startsWith('#property/')) {
-                        // Use replaceState to avoid history clutter, but we want to trigger hashchange?
-                        // Actually, setting hash to '' triggers hashchange which calls showDefaultPanel.
-                        // That's acceptable behavior for "Close" if no history.
-                        window.location.hash = '';
-                    }
-                }
+                bottomSheet.classList.remove('property-view-active');
             }
+            // Mobile and desktop both go back to the list the property was
+            // opened from, same as the browser back button would
+            closePropertyView('property card close');
 
             // Clear selection
             if (selectedFeatureLayer) {
@@ -2851,14 +4064,11 @@ function generateFullReport(address, props, imageHtml) {
 
             <h2>Historic Designations</h2>
             <div class="data-grid">
+                ${getDistrictFlagColumns().map(df => `
                 <div class="data-item">
-                    <span class="data-label">Ridge Historic District</span>
-                    <span class="data-value">${props.ridge_historic_district ? 'Yes' : 'No'}</span>
-                </div>
-                <div class="data-item">
-                    <span class="data-label">Brainerd Bungalow Dist.</span>
-                    <span class="data-value">${props.brainerd_bungalow_historic_district ? 'Yes' : 'No'}</span>
-                </div>
+                    <span class="data-label">${df.label}</span>
+                    <span class="data-value">${props[df.key] ? 'Yes' : 'No'}</span>
+                </div>`).join('')}
                 <div class="data-item">
                     <span class="data-label">Individual Landmark</span>
                     <span class="data-value">${val(props.individual_landmark)}</span>
@@ -2909,7 +4119,7 @@ function buildPropertyCard(props) {
             trackEvent('view_property', {
                 property_id: props.BLDG_ID,
                 // address removed for privacy
-                district_name: findDistrictNameForProperty(props.BLDG_ID) || 'None',
+                district_name: findDistrictNamesForProperty(props.BLDG_ID).join(', ') || 'None',
                 has_landmark_status: props.individual_landmark === 'Y' || props.individual_landmark === 'YES',
                 color_code: props.CHRS_Rating || 'N/A'
             });
@@ -3075,7 +4285,9 @@ function buildPropertyCard(props) {
 function preloadAdjacentImages(currentId, list) {
     if (!list || list.length === 0) return;
 
-    const currentIndex = list.findIndex(f => f.properties.BLDG_ID === currentId);
+    const currentIndex = (list === currentNavigationList)
+        ? getNavigationPosition(currentId)
+        : list.findIndex(f => f.properties.BLDG_ID === currentId);
     if (currentIndex === -1) return;
 
     const indicesToPreload = [];
@@ -3097,6 +4309,26 @@ function preloadAdjacentImages(currentId, list) {
     });
 }
 
+/**
+ * "Recently viewed" list for the welcome panel, or '' when empty.
+ */
+function buildRecentlyViewedSection() {
+    if (!isDataLoaded || !hasRecentHistory()) return '';
+    const recent = getRecentProperties();
+    const listHtml = recent.length === 0
+        ? '<p style="color: #888;">No properties viewed yet.</p>'
+        : `<ul class="item-list">${recent.map(f => `<li data-id="${f.properties.BLDG_ID}"><a>${formatListItem(f.properties)}</a></li>`).join('')}</ul>`;
+    return `
+        <div id="recently-viewed" style="margin-bottom: 20px;">
+            <div style="display: flex; align-items: baseline; justify-content: space-between;">
+                <h4 style="margin: 0 0 8px 0; color: #666; text-transform: uppercase; font-size: 0.9em; letter-spacing: 0.5px;">Recently viewed</h4>
+                <button class="clear-history-button" style="background: none; border: none; color: #4285F4; cursor: pointer; font-size: 0.9em; padding: 0;">Clear history</button>
+            </div>
+            ${listHtml}
+        </div>
+    `;
+}
+
 /**
  * Sets the panel to its default "Explore" state.
  */
@@ -3111,17 +4343,23 @@ function showDefaultPanel() {
             <p style="margin-bottom: 16px;">
                 Building owners can determine if a property is in a historic district and understand potential <strong>financial incentives</strong> or <strong>permit requirements</strong> for alterations.
             </p>
+        ${isDataLoaded ? '' : `
+        <div id="data-loading-indicator" class="data-loading-indicator">
+            <div class="loading-label">Loading map data...</div>
+            <div class="loading-bar"><div class="loading-bar-fill"></div></div>
+        </div>`}
         <div style="background-color: #f0f7ff; border-left: 4px solid var(--primary); padding: 12px; margin-bottom: 20px; border-radius: 4px;">
             <strong>Getting Started:</strong><br>
             Search for your address see if your building has a landmark designation or is included in the 1995 Chicago Historic Resources Survey (CHRS).
             
             <div style="margin-top: 10px; margin-bottom: 0; position: relative;" id="welcome-search-container">
                 <svg style="position: absolute; left: 12px; top: 50%; transform: translateY(-50%); width: 20px; height: 20px; color: #666; pointer-events: none;" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path></svg>
-                <input type="text" id="welcome-search-input" placeholder="Search address..." autocomplete="off" style="width: 100%; padding: 12px 12px 12px 40px; border: 1px solid #ccc; border-radius: 8px; font-size: 16px; box-sizing: border-box;">
+                <input type="text" id="welcome-search-input" placeholder="Search address, name, architect..." autocomplete="off" style="width: 100%; padding: 12px 12px 12px 40px; border: 1px solid #ccc; border-radius: 8px; font-size: 16px; box-sizing: border-box;">
                 <div id="welcome-search-results" class="search-results-dropdown" style="display: none; position: absolute; top: 100%; left: 0; right: 0; background: white; border: 1px solid #ddd; border-radius: 8px; max-height: 200px; overflow-y: auto; z-index: 1000; box-shadow: 0 4px 6px rgba(0,0,0,0.1);"></div>
             </div>
         </div>
         
+        ${buildRecentlyViewedSection()}
         <p style="font-size: 0.9em; color: #666; margin-top: 30px; border-top: 1px solid #eee; padding-top: 15px;">
             <em>Created by Tim Blackburn for the the Ridge Historical Society. (v0.7)</em>
         </p>
@@ -3143,16 +4381,27 @@ function showDefaultPanel() {
                     debounceTimeout = setTimeout(() => {
                         const rawQuery = e.target.value;
                         if (rawQuery.length > 0) {
-                            const results = searchFeatures(rawQuery);
-                            renderWelcomeSearchResults(results, dropdown, input);
+                            renderWelcomeSearchResults(searchAll(rawQuery), dropdown, input);
                         } else {
-                            dropdown.style.display = 'none';
+                            renderWelcomeSearchResults(getRecentSearchGroups(), dropdown, input);
                         }
                     }, 150);
                 });
 
+                attachSearchKeyboard(input, dropdown, {
+                    onSubmit: (query) => {
+                        dropdown.style.display = 'none';
+                        navigateTo(`#search/${encodeURIComponent(query)}`);
+                    },
+                    onClose: () => {
+                        dropdown.style.display = 'none';
+                        dropdown.innerHTML = '';
+                    }
+                });
+
                 // Expand panel on focus (mobile) so keyboard doesn't cover it
                 input.addEventListener('focus', (e) => {
+                    if (!input.value) renderWelcomeSearchResults(getRecentSearchGroups(), dropdown, input);
                     if (window.innerWidth < 768) {
                         // Expand panel immediately
                         bottomSheet.style.height = 'calc(100vh - 130px)';
@@ -3225,43 +4474,6 @@ function showDefaultPanel() {
                 });
             }
 
-            input.addEventListener('input', (e) => {
-                const query = e.target.value.toLowerCase().trim();
-                if (query.length < 3) {
-                    dropdown.style.display = 'none';
-                    return;
-                }
-                const results = surveyData.features.filter(f => {
-                    const address = formatAddress(f.properties).toLowerCase();
-                    return address.includes(query);
-                }).slice(0, 10); // Limit to 10
-
-                if (results.length > 0) {
-                    dropdown.innerHTML = results.map(f => `
-                        <div class="search-result-item" data-id="${f.properties.BLDG_ID}" data-address="${formatAddress(f.properties)}" style="padding: 10px 16px; cursor: pointer; border-bottom: 1px solid #eee;">
-                            ${formatAddress(f.properties)}
-                        </div>
-                    `).join('');
-                    dropdown.style.display = 'block';
-
-                    // Add click listeners to items
-                    dropdown.querySelectorAll('.search-result-item').forEach(item => {
-                        item.addEventListener('click', () => {
-                            const bldgId = item.dataset.id;
-                            const address = item.dataset.address;
-
-                            // Fill input and hide dropdown
-                            input.value = address;
-                            dropdown.style.display = 'none';
-
-                            attemptShowProperty(bldgId);
-                        });
-                    });
-                } else {
-                    dropdown.style.display = 'none';
-                }
-            });
-
             // Hide on outside click
             document.addEventListener('click', (e) => {
                 if (!container.contains(e.target)) {
@@ -3277,43 +4489,119 @@ function showDefaultPanel() {
     }
 }
 
+/**
+ * Keyboard support shared by the top-bar and welcome-panel searches:
+ * ArrowUp/ArrowDown move through the `.search-result-item`s in
+ * `dropdown`, Enter opens the selected (or only) result and otherwise
+ * calls `onSubmit(query)`, Escape calls `onClose()`.
+ */
+function attachSearchKeyboard(input, dropdown, { onSubmit, onClose }) {
+    input.setAttribute('aria-autocomplete', 'list');
+    input.addEventListener('keydown', (e) => {
+        // A closed dropdown may still hold its last results; don't act on them
+        const isOpen = getComputedStyle(dropdown).display !== 'none';
+        const items = isOpen ? Array.from(dropdown.querySelectorAll('.search-result-item')) : [];
+        const current = items.findIndex(el => el.classList.contains('search-result-active'));
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (items.length === 0) return;
+            e.preventDefault(); // keep the caret where it is
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = current === -1
+                ? (step === 1 ? 0 : items.length - 1)
+                : (current + step + items.length) % items.length;
+            setActiveSearchItem(items, next);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const target = current >= 0 ? items[current] : (items.length === 1 ? items[0] : null);
+            if (target) {
+                target.click();
+            } else if (input.value.trim()) {
+                onSubmit(input.value);
+            }
+        } else if (e.key === 'Escape') {
+            if (items.length > 0) {
+                e.preventDefault();
+                onClose();
+            }
+        }
+    });
+}
+
+function setActiveSearchItem(items, index) {
+    items.forEach((el, i) => {
+        el.classList.toggle('search-result-active', i === index);
+        el.setAttribute('aria-selected', i === index ? 'true' : 'false');
+    });
+    if (items[index]) items[index].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Escapes `text` and wraps the parts that match the query in
+ * <mark class="search-match">. Tries the words as typed and as
+ * normalizeSearchQuery spells them, so "Drive" also marks "DR".
+ */
+function highlightSearchMatch(text, rawQuery) {
+    const str = String(text || '');
+    const raw = String(rawQuery || '').replace(/\./g, '').trim();
+    const tokens = new Set([raw, ...raw.split(/[\s,]+/), ...normalizeSearchQuery(raw).split(/\s+/)]);
+    const words = Array.from(tokens)
+        .filter(t => t && (t.length >= 2 || /^\d+$/.test(t)))
+        .sort((a, b) => b.length - a.length)
+        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return escapeHtml(str);
+    const re = new RegExp(`(${words.join('|')})`, 'gi');
+    // split() with a capture group puts the matches at odd indexes
+    return str.split(re).map((part, i) => (i % 2 === 1
+        ? `<mark class="search-match">${escapeHtml(part)}</mark>`
+        : escapeHtml(part))).join('');
+}
+
 /**
  * Search Dropdown Functions
  */
 function showSearchDropdown(query) {
-    if (!query || query.length < 2) {
+    // An empty box shows recent history instead of results
+    const isEmpty = !query || !query.trim();
+    if (!isEmpty && query.length < 2) {
         clearSearchDropdown();
         return;
     }
 
-    const results = searchFeatures(query);
-    currentDropdownResults = results; // Store for "Enter" key logic
-
-    if (results.length === 0) {
+    const groups = isEmpty ? getRecentSearchGroups() : searchAll(query);
+    if (groups.length === 0) {
         clearSearchDropdown();
         return;
     }
 
-    let listHtml = results.map(f => {
-        const address = formatAddress(f.properties);
-        return `<li data-id="${f.properties.BLDG_ID}">${address}</li>`;
-    }).join('');
+    let listHtml = groups.map(group => `
+        <li class="search-category">${group.label}</li>
+        ${group.items.map(item => `<li class="search-result-item" data-kind="${item.kind}" data-value="${escapeHtml(item.value)}" role="option">${item.html}</li>`).join('')}
+    `).join('');
+    if (isEmpty) listHtml += `<li class="search-history-clear">Clear history</li>`;
 
     searchResultsDropdown.innerHTML = `<ul>${listHtml}</ul>`;
     searchResultsDropdown.classList.add('active');
 
     // Add click listeners to new items
-    searchResultsDropdown.querySelectorAll('li').forEach(li => {
+    searchResultsDropdown.querySelectorAll('li[data-kind]').forEach(li => {
         li.addEventListener('click', () => {
-            attemptShowProperty(li.dataset.id);
+            openSearchResult(li.dataset.kind, li.dataset.value, searchInput.value);
             clearSearchDropdown();
             searchInput.value = ''; // Clear search input
         });
     });
+    const clearLi = searchResultsDropdown.querySelector('li.search-history-clear');
+    if (clearLi) {
+        clearLi.addEventListener('click', () => {
+            clearRecentHistory();
+            clearSearchDropdown();
+            if (!getRouteHash() || getRouteHash() === '#') showDefaultPanel();
+        });
+    }
 }
 
 function clearSearchDropdown() {
-    currentDropdownResults = [];
     searchResultsDropdown.classList.remove('active');
     searchResultsDropdown.innerHTML = '';
 }
@@ -3355,13 +4643,13 @@ function setDistrictLayerOpacity(opacity) {
  * Removes the selected district highlight
  */
 function clearDistrictHighlight() {
-    try { console.trace('[TRACE] clearDistrictHighlight called, currentHash=', window.location.hash); } catch (e) { }
+    try { console.trace('[TRACE] clearDistrictHighlight called, currentHash=', getRouteHash()); } catch (e) { }
     if (selectedDistrictLayer) {
         console.debug('[DEBUG] clearDistrictHighlight: removing selectedDistrictLayer');
         map.removeLayer(selectedDistrictLayer);
         selectedDistrictLayer = null;
     }
-    const hash = window.location.hash;
+    const hash = getRouteHash();
     if (hash === '#' || hash === '#districts') {
         showDistrictsLayer();
     }
@@ -3377,6 +4665,86 @@ function clearBuildingHighlight() {
     }
 }
 
+/**
+ * True on devices with a mouse; hover tooltips and list-hover flashes
+ * are skipped on touch screens, where hover doesn't exist.
+ */
+function canHover() {
+    return !!(window.matchMedia && window.matchMedia('(hover: hover) and (pointer: fine)').matches);
+}
+
+/**
+ * Outlines a building while the pointer is over it (on the map or on
+ * its list item). `flash` adds a short pulse so the footprint is easy
+ * to spot from the list.
+ */
+function showHoverOutline(feature, { flash = false } = {}) {
+    clearHoverOutline();
+    hoverOutlineLayer = L.geoJSON(feature, {
+        style: { color: '#222222', weight: 3, opacity: 0.9, fill: false },
+        className: flash ? 'hover-flash' : '', // set on the path when it's created
+        interactive: false,
+        pane: 'highlightPane'
+    }).addTo(map);
+}
+
+function clearHoverOutline() {
+    if (hoverOutlineLayer) {
+        map.removeLayer(hoverOutlineLayer);
+        hoverOutlineLayer = null;
+    }
+}
+
+/**
+ * Small HTML summary for the map hover tooltip.
+ */
+function buildBuildingTooltipHtml(props) {
+    const year = props.CHRS_Built_Date || props.YEAR_BUILT;
+    const rows = [`<strong>${escapeHtml(formatAddress(props))}</strong>`];
+    if (props.building_name) rows.push(`<div>${escapeHtml(props.building_name)}</div>`);
+    if (props.CHRS_Color) {
+        rows.push(`<div><span class="tooltip-swatch" style="background: ${getChrsSwatchCss(props.CHRS_Color)}"></span>${escapeHtml(props.CHRS_Color)}</div>`);
+    }
+    if (year) rows.push(`<div>Built ${escapeHtml(year)}</div>`);
+    return rows.join('');
+}
+
+/**
+ * Hover tooltip and outline for one survey path (desktop only).
+ */
+function bindBuildingHover(feature, layer) {
+    if (!canHover()) return;
+    layer.bindTooltip(() => buildBuildingTooltipHtml(feature.properties), {
+        sticky: true,
+        direction: 'top',
+        offset: [0, -8],
+        className: 'building-tooltip'
+    });
+    layer.on('mouseover', () => showHoverOutline(feature));
+    layer.on('mouseout', clearHoverOutline);
+}
+
+/**
+ * Flashes the footprint of a hovered `li[data-id]` in `container`'s
+ * lists (desktop only).
+ */
+function setupListHoverFlash(container) {
+    if (!container || !canHover()) return;
+    let hoveredLi = null;
+    container.addEventListener('mouseover', (e) => {
+        const li = e.target.closest('li[data-id]');
+        if (!li || li === hoveredLi) return;
+        hoveredLi = li;
+        const feature = getFeatureById(parseInt(li.dataset.id, 10));
+        if (feature) showHoverOutline(feature, { flash: true });
+    });
+    container.addEventListener('mouseout', (e) => {
+        if (!hoveredLi || hoveredLi.contains(e.relatedTarget)) return;
+        hoveredLi = null;
+        clearHoverOutline();
+    });
+}
+
 /**
 Adds a highlight layer for a single district.
 */
@@ -3556,16 +4924,16 @@ function toggleBottomSheet(forceExpand = null) {
 }
 
 /**
- * Restores the saved scroll position for the current route
+ * Restores the scroll position saved on the current history entry
  */
 function restoreScrollPosition() {
-    const currentHash = window.location.hash || '';
-    if (savedScrollPositions[currentHash] !== undefined) {
+    const entry = window.history.state;
+    if (entry && typeof entry.scroll === 'number' && entry.scroll > 0) {
         const scrollableContent = bottomSheet.querySelector('.scrollable-content');
         if (scrollableContent) {
             // Use setTimeout to ensure the DOM is fully rendered
             setTimeout(() => {
-                scrollableContent.scrollTop = savedScrollPositions[currentHash];
+                scrollableContent.scrollTop = entry.scroll;
             }, 50);
         }
     }
@@ -3591,7 +4959,7 @@ function handleResize() {
         mobilePillContainer.appendChild(filterPillsContainer);
         appContainer.classList.remove('panel-open');
         // Let hash router decide if panel is expanded
-        if (window.location.hash && window.location.hash !== '#') {
+        if (getRouteHash() !== '#' && getRouteHash() !== '') {
             bottomSheet.classList.add('expanded');
         } else {
             bottomSheet.classList.remove('expanded');
@@ -3649,35 +5017,258 @@ function levenshteinDistance(a, b) {
     return matrix[b.length][a.length];
 }
 
+/**
+ * Scores how well normalized `text` matches normalized `query`:
+ * -1 prefix, -0.5 word start, 0 anywhere, else the edit distance of the
+ * same-length prefix when it's within `maxDist`. Returns null for no
+ * match. Fuzzy matching is skipped for queries shorter than `minFuzzyLength`.
+ */
+function scoreSearchText(query, text, maxDist = 3, minFuzzyLength = 0) {
+    if (!text) return null;
+    if (text.startsWith(query)) return -1;
+    if (text.includes(` ${query}`)) return -0.5;
+    if (text.includes(query)) return 0;
+    if (query.length < minFuzzyLength) return null;
+    const dist = levenshteinDistance(query, text.substring(0, query.length));
+    return dist <= maxDist ? dist : null;
+}
+
+/**
+ * Builds the omnisearch index once the data is loaded: normalized
+ * address and building name per property, plus each distinct
+ * architect, style and district with its building count, and the
+ * properties on each street for intersection and block search.
+ */
+function buildSearchIndex() {
+    const properties = [];
+    const architects = new Map();
+    const styles = new Map();
+    const streets = new Map(); // normalized ST_NAME1 -> [{ feature, direction }]
+    const bump = (map, value) => { if (value) map.set(value, (map.get(value) || 0) + 1); };
+
+    surveyData.features.forEach(f => {
+        const props = f.properties;
+        properties.push({
+            feature: f,
+            address: normalizeSearchQuery(formatAddress(props)),
+            name: normalizeSearchQuery(props.building_name || '')
+        });
+        bump(architects, props.CHRS_Architect);
+        bump(styles, props['CHRS_Building Style']);
+
+        const street = normalizeSearchQuery(props.ST_NAME1 || '');
+        if (!streets.has(street)) streets.set(street, []);
+        streets.get(street).push({ feature: f, direction: normalizeSearchQuery(props.PRE_DIR1 || '') });
+    });
+
+    const toEntries = (map) => Array.from(map, ([value, count]) => ({ value, count, norm: normalizeSearchQuery(value) }));
+    const districtNames = Array.from(new Set(allDistricts.map(getDistrictFeatureName).filter(Boolean)));
+
+    searchIndex = {
+        properties,
+        architects: toEntries(architects),
+        styles: toEntries(styles),
+        streets,
+        districts: districtNames.map(name => ({
+            value: name,
+            count: (districtFeatureMap[name] || []).length,
+            norm: normalizeSearchQuery(name)
+        }))
+    };
+}
+
+function getSearchIndex() {
+    if (!searchIndex && surveyData) buildSearchIndex();
+    return searchIndex;
+}
+
+/**
+ * Ranks survey features by address and building name. Returns
+ * [{ feature, score, matchedName }] best first; `matchedName` is true
+ * when the building name matched better than the address.
+ */
+function searchProperties(rawQuery, limit = 10) {
+    if (!rawQuery || rawQuery.length === 0 || !surveyData) return [];
+    const query = normalizeSearchQuery(rawQuery);
+    if (!query) return [];
+
+    const scored = [];
+    getSearchIndex().properties.forEach(entry => {
+        const addressScore = scoreSearchText(query, entry.address);
+        // Names are free text, so only fuzzy-match longer queries
+        const nameScore = scoreSearchText(query, entry.name, 2, 4);
+        const scores = [addressScore, nameScore].filter(s => s !== null);
+        if (scores.length === 0) return;
+        scored.push({
+            feature: entry.feature,
+            score: Math.min(...scores),
+            matchedName: nameScore !== null && (addressScore === null || nameScore < addressScore)
+        });
+    });
+
+    return scored.sort((a, b) => a.score - b.score).slice(0, limit);
+}
+
 /**
  * Performs fuzzy search on survey features
  */
-function searchFeatures(rawQuery) {
-    if (!rawQuery || rawQuery.length === 0) return [];
+function searchFeatures(rawQuery, limit = 10) {
+    return searchProperties(rawQuery, limit).map(item => item.feature);
+}
+
+/**
+ * Searches the architect, style and district lists. Returns
+ * { architects, styles, districts }, each an array of { value, count }.
+ */
+function searchCategories(rawQuery, limit = 5) {
     const query = normalizeSearchQuery(rawQuery);
+    const index = getSearchIndex();
+    if (!query || !index) return { architects: [], styles: [], districts: [] };
 
-    const scored = surveyData.features.map(f => {
-        const addr = formatAddress(f.properties);
-        const normAddr = normalizeSearchQuery(addr);
-        let score = 100;
+    const rank = (entries) => entries
+        .map(entry => ({ entry, score: scoreSearchText(query, entry.norm, 2, 4) }))
+        .filter(item => item.score !== null)
+        .sort((a, b) => a.score - b.score || b.entry.count - a.entry.count)
+        .slice(0, limit)
+        .map(item => ({ value: item.entry.value, count: item.entry.count }));
 
-        if (normAddr.includes(query)) {
-            score = 0; // Exact substring match
-            if (normAddr.startsWith(query)) score = -1; // Prefix match bonus
-        } else {
-            // Fuzzy match against prefix
-            const prefix = normAddr.substring(0, query.length);
-            const dist = levenshteinDistance(query, prefix);
-            if (dist <= 3) score = dist;
-        }
-        return { feature: f, score };
-    });
+    return {
+        architects: rank(index.architects),
+        styles: rank(index.styles),
+        districts: rank(index.districts)
+    };
+}
+
+// --- RECENT HISTORY ---
+// Recent search queries and opened properties, kept in localStorage so
+// they survive between sessions. Newest first, deduplicated and capped.
+
+const RECENT_SEARCHES_KEY = 'ridge_recent_searches';
+const RECENT_PROPERTIES_KEY = 'ridge_recent_properties';
+const RECENT_SEARCHES_LIMIT = 8;
+const RECENT_PROPERTIES_LIMIT = 10;
+
+function readRecentList(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Moves `value` to the front of the stored list, dropping any earlier
+ * copy (compared with `sameFn`) and anything past `limit`.
+ */
+function pushRecentItem(key, value, limit, sameFn = (a, b) => a === b) {
+    const list = [value, ...readRecentList(key).filter(v => !sameFn(v, value))].slice(0, limit);
+    try { localStorage.setItem(key, JSON.stringify(list)); } catch (e) { /* ignore storage errors */ }
+}
+
+function recordRecentSearch(query) {
+    const q = String(query || '').trim();
+    if (q.length < 2) return;
+    pushRecentItem(RECENT_SEARCHES_KEY, q, RECENT_SEARCHES_LIMIT,
+        (a, b) => String(a).toLowerCase() === b.toLowerCase());
+}
+
+function recordRecentProperty(bldgId) {
+    const id = parseInt(bldgId, 10);
+    if (isNaN(id)) return;
+    pushRecentItem(RECENT_PROPERTIES_KEY, id, RECENT_PROPERTIES_LIMIT);
+}
+
+/**
+ * Stored property ids resolved to features, skipping any that are no
+ * longer in the survey data.
+ */
+function getRecentProperties(limit = RECENT_PROPERTIES_LIMIT) {
+    return readRecentList(RECENT_PROPERTIES_KEY)
+        .map(id => getFeatureById(id))
+        .filter(Boolean)
+        .slice(0, limit);
+}
+
+function hasRecentHistory() {
+    return readRecentList(RECENT_SEARCHES_KEY).length > 0 || readRecentList(RECENT_PROPERTIES_KEY).length > 0;
+}
+
+/**
+ * Forgets both lists (the "Clear history" control, for shared machines).
+ */
+function clearRecentHistory() {
+    try {
+        localStorage.removeItem(RECENT_SEARCHES_KEY);
+        localStorage.removeItem(RECENT_PROPERTIES_KEY);
+    } catch (e) { /* ignore storage errors */ }
+    trackEvent('recent_history_clear', {});
+}
+
+/**
+ * Recent history in the searchAll() group format, for the dropdowns
+ * when the search box is empty.
+ */
+function getRecentSearchGroups() {
+    const groups = [];
+    const searches = readRecentList(RECENT_SEARCHES_KEY);
+    if (searches.length > 0) {
+        groups.push({
+            label: 'Recent searches',
+            items: searches.map(q => ({ kind: 'recent-search', value: q, html: escapeHtml(q) }))
+        });
+    }
+    const properties = isDataLoaded ? getRecentProperties(5) : [];
+    if (properties.length > 0) {
+        groups.push({
+            label: 'Recently viewed',
+            items: properties.map(f => ({ kind: 'property', value: String(f.properties.BLDG_ID), html: formatListItem(f.properties) }))
+        });
+    }
+    return groups;
+}
+
+
+// Category order and labels for the search dropdowns
+const SEARCH_CATEGORIES = [
+    { key: 'properties', kind: 'property', label: 'Properties' },
+    { key: 'architects', kind: 'architect', label: 'Architects' },
+    { key: 'styles', kind: 'style', label: 'Styles' },
+    { key: 'districts', kind: 'district', label: 'Districts' }
+];
+
+/**
+ * Runs the omnisearch and returns the non-empty categories in display
+ * order: [{ label, items: [{ kind, value, html }] }].
+ */
+function searchAll(rawQuery) {
+    const results = { properties: searchProperties(rawQuery, 8), ...searchCategories(rawQuery) };
+    return SEARCH_CATEGORIES.map(({ key, kind, label }) => ({
+        label,
+        items: results[key].map(r => {
+            if (kind === 'property') {
+                const props = r.feature.properties;
+                const name = props.building_name
+                    ? `<div style="color: #888; font-size: 0.85em; margin-top: 2px;">${highlightSearchMatch(props.building_name, rawQuery)}</div>`
+                    : '';
+                return { kind, value: String(props.BLDG_ID), html: `${highlightSearchMatch(formatAddress(props), rawQuery)}${name}` };
+            }
+            return { kind, value: r.value, html: `${highlightSearchMatch(r.value, rawQuery)} <span style="color: #888;">(${r.count})</span>` };
+        })
+    })).filter(group => group.items.length > 0);
+}
 
-    return scored
-        .filter(item => item.score < 10)
-        .sort((a, b) => a.score - b.score)
-        .slice(0, 10)
-        .map(item => item.feature);
+/**
+ * Opens a search dropdown result in its existing panel.
+ */
+function openSearchResult(kind, value, query) {
+    trackEvent('search_result_select', { result_type: kind });
+    if (query) recordRecentSearch(query);
+    if (kind === 'property') attemptShowProperty(value);
+    else if (kind === 'recent-search') navigateTo(`#search/${encodeURIComponent(value)}`);
+    else if (kind === 'architect') navigateTo(`#survey/architect/${encodeURIComponent(value)}`);
+    else if (kind === 'style') navigateTo(`#survey/style/${encodeURIComponent(value)}`);
+    else if (kind === 'district') navigateTo(`#district/${encodeURIComponent(value)}`);
 }
 
 /**
@@ -3735,6 +5326,19 @@ function formatListItem(props) {
     return address;
 }
 
+/**
+ * Escapes text for use in innerHTML templates and attribute values.
+ * Use for anything that can come from the URL or the search box.
+ */
+function escapeHtml(value) {
+    return String(value === null || typeof value === 'undefined' ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Sorts two features by Street Name, then House Number
  */
@@ -3762,12 +5366,18 @@ function updateActivePill(activeFilter) {
 }
 
 /**
- * Updates the survey layer style and filter based on mode.
+ * Updates the survey layer style and filter based on mode. Restyles the
+ * persistent paths in place (setStyle only where the style changed) and
+ * adds or removes them from the layer; nothing is rebuilt.
  */
 function updateSurveyLayer(mode, filterValue = null) {
-    if (surveyLayer && map.hasLayer(surveyLayer)) {
-        map.removeLayer(surveyLayer);
-    }
+    const t0 = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+
+    // Facet objects are rebuilt on every refresh, so compare them by value
+    const filterKey = (v) => (v && typeof v === 'object' && !(v instanceof Set)) ? JSON.stringify(v) : v;
+    if (mode !== surveyLayerMode || filterKey(filterValue) !== filterKey(surveyLayerFilterValue)) surveyLegendHidden.clear();
+    surveyLayerMode = mode;
+    surveyLayerFilterValue = filterValue;
 
     let styleFunc = getSurveyStyle; // Default (clear)
     let filterFunc = null;       // Default (show all)
@@ -3793,18 +5403,7 @@ function updateSurveyLayer(mode, filterValue = null) {
             return isLandmark || isContributing;
         };
     } else if (mode === 'color') {
-        styleFunc = (feature) => {
-            const color = feature.properties.CHRS_Color;
-            if (color) {
-                let fillColor = color.toLowerCase();
-                if (fillColor === 'yellow/green') fillColor = '#ADFF2F';
-                return {
-                    fillColor: fillColor, fillOpacity: 0.6,
-                    color: '#000000', weight: 1, opacity: 0.5
-                };
-            }
-            return getSurveyStyle(feature);
-        };
+        styleFunc = getColorCodeStyle;
         if (filterValue) {
             filterFunc = (feature) => feature.properties.CHRS_Color === filterValue;
         }
@@ -3812,10 +5411,7 @@ function updateSurveyLayer(mode, filterValue = null) {
         styleFunc = (feature) => {
             const decade = feature.properties.decade;
             if (decade) {
-                return {
-                    fillColor: getDecadeColor(decade), fillOpacity: 0.6,
-                    color: '#000000', weight: 1, opacity: 0.5
-                };
+                return getSymbologyFillStyle(getDecadeColor(decade));
             }
             return getSurveyStyle(feature);
         };
@@ -3826,10 +5422,7 @@ function updateSurveyLayer(mode, filterValue = null) {
         styleFunc = (feature) => {
             const architect = feature.properties.CHRS_Architect;
             if (architect) {
-                return {
-                    fillColor: stringToColor(architect), fillOpacity: 0.6,
-                    color: '#000000', weight: 1, opacity: 0.5
-                };
+                return getSymbologyFillStyle(getCategoryColor('architect', architect));
             }
             return getSurveyStyle(feature);
         };
@@ -3840,16 +5433,27 @@ function updateSurveyLayer(mode, filterValue = null) {
         styleFunc = (feature) => {
             const style = feature.properties["CHRS_Building Style"];
             if (style) {
-                return {
-                    fillColor: stringToColor(style), fillOpacity: 0.6,
-                    color: '#000000', weight: 1, opacity: 0.5
-                };
+                return getSymbologyFillStyle(getCategoryColor('style', style));
             }
             return getSurveyStyle(feature);
         };
         if (filterValue) {
             filterFunc = (feature) => feature.properties["CHRS_Building Style"] === filterValue;
         }
+    } else if (mode === 'timeline') {
+        // #survey/timeline: buildings standing (or possibly standing) in
+        // the year `filterValue`
+        styleFunc = (feature) => getTimelineStyle(feature, filterValue);
+        filterFunc = (feature) => {
+            const state = getTimelineState(feature, filterValue);
+            return state === 'built' || state === 'uncertain';
+        };
+    } else if (mode === 'filter') {
+        // Combined facets from #survey/filter; keep the color-code fill so
+        // the ratings of the matches stay readable.
+        styleFunc = getColorCodeStyle;
+        const facets = filterValue || {};
+        filterFunc = (feature) => featureMatchesFacets(feature, facets);
     } else if (mode === 'district') {
         // Show only the properties that are part of the named district.
         styleFunc = getSurveyStyle;
@@ -3863,36 +5467,333 @@ function updateSurveyLayer(mode, filterValue = null) {
         }
     }
 
-    // Only for Building Survey views, require a non-empty `CHRS_Address`
-    // so outlines in survey panels exclude features without a CHRS address.
-    try {
-        const isSurveyRoute = (window.location.hash && String(window.location.hash).startsWith('#survey'));
-        if (isSurveyRoute && (mode === 'default' || mode === 'color' || mode === 'decade' || mode === 'architect' || mode === 'style')) {
-            const prevFilter = filterFunc;
-            filterFunc = (feature) => {
-                try {
-                    const addr = feature && feature.properties && feature.properties.CHRS_Address;
-                    const hasAddr = addr !== null && typeof addr !== 'undefined' && String(addr).trim() !== '';
-                    if (!hasAddr) return false;
-                    return typeof prevFilter === 'function' ? prevFilter(feature) : true;
-                } catch (e) {
-                    return false;
+    // Only for Building Survey views, require a non-empty `CHRS_Address`
+    // so outlines in survey panels exclude features without a CHRS address.
+    try {
+        const isSurveyRoute = getRouteHash().startsWith('#survey');
+        if (isSurveyRoute && (mode === 'default' || mode === 'color' || mode === 'decade' || mode === 'architect' || mode === 'style' || mode === 'filter')) {
+            const prevFilter = filterFunc;
+            filterFunc = (feature) => {
+                try {
+                    const addr = feature && feature.properties && feature.properties.CHRS_Address;
+                    const hasAddr = addr !== null && typeof addr !== 'undefined' && String(addr).trim() !== '';
+                    if (!hasAddr) return false;
+                    return typeof prevFilter === 'function' ? prevFilter(feature) : true;
+                } catch (e) {
+                    return false;
+                }
+            };
+        }
+    } catch (e) {
+        // swallow errors — don't block rendering
+    }
+
+    // Legend counts cover the whole filter; hidden classes come off after
+    const legend = SURVEY_LEGEND_MODES[mode];
+    if (legend) {
+        updateSurveyLegend(mode, countSurveyLegendClasses(legend, filterFunc));
+        if (surveyLegendHidden.size > 0) {
+            const shownFilter = filterFunc;
+            filterFunc = (feature) => !surveyLegendHidden.has(legend.classOf(feature)) &&
+                (typeof shownFilter === 'function' ? shownFilter(feature) : true);
+        }
+    } else {
+        updateSurveyLegend(mode, []);
+    }
+
+    if (!surveyLayer) return;
+
+    surveyLayersById = new Map();
+    surveyPaths.forEach(layer => {
+        const shown = typeof filterFunc === 'function' ? filterFunc(layer.feature) : true;
+        if (shown) {
+            // dashArray is only set by the timeline; clear it everywhere else
+            const style = Object.assign({ dashArray: null }, styleFunc(layer.feature));
+            if (Object.keys(style).some(key => layer.options[key] !== style[key])) layer.setStyle(style);
+            if (!surveyLayer.hasLayer(layer)) surveyLayer.addLayer(layer);
+            const id = layer.feature.properties.BLDG_ID;
+            if (typeof id !== 'undefined' && id !== null) surveyLayersById.set(String(id), layer);
+        } else if (surveyLayer.hasLayer(layer)) {
+            surveyLayer.removeLayer(layer);
+        }
+    });
+    if (!map.hasLayer(surveyLayer)) surveyLayer.addTo(map);
+
+    const t1 = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+    perfStats.surveyLayerCalls++;
+    perfStats.surveyLayerTime += (t1 - t0);
+    maybePersistPerfStats();
+}
+
+// --- BASEMAPS ---
+// Basemap choice, historic overlay and its opacity, kept in localStorage.
+// BASEMAPS and HISTORIC_OVERLAY are defined next to the map setup.
+
+function loadBasemapSettings() {
+    const defaults = { basemap: 'hot', overlay: false, opacity: 0.7 };
+    try {
+        const saved = JSON.parse(localStorage.getItem(BASEMAP_STORAGE_KEY) || '{}');
+        return {
+            basemap: BASEMAPS[saved.basemap] ? saved.basemap : defaults.basemap,
+            overlay: saved.overlay === true,
+            opacity: typeof saved.opacity === 'number' ? Math.min(1, Math.max(0, saved.opacity)) : defaults.opacity
+        };
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function saveBasemapSettings() {
+    try { localStorage.setItem(BASEMAP_STORAGE_KEY, JSON.stringify(basemapSettings)); } catch (e) { /* ignore storage errors */ }
+}
+
+/**
+ * Swaps the base tile layer for one of BASEMAPS.
+ */
+function setBasemap(key) {
+    const basemap = BASEMAPS[key] || BASEMAPS.hot;
+    if (basemapLayer) map.removeLayer(basemapLayer);
+    basemapLayer = L.tileLayer(basemap.url, basemap.options).addTo(map);
+    basemapSettings.basemap = BASEMAPS[key] ? key : 'hot';
+    saveBasemapSettings();
+}
+
+/**
+ * Shows or hides the historic map tiles over the basemap.
+ */
+function setHistoricOverlay(visible) {
+    visible = visible && HISTORIC_OVERLAY.available;
+    if (visible && !historicOverlayLayer) {
+        historicOverlayLayer = L.tileLayer(HISTORIC_OVERLAY.url,
+            Object.assign({ opacity: basemapSettings.opacity }, HISTORIC_OVERLAY.options)).addTo(map);
+    } else if (!visible && historicOverlayLayer) {
+        map.removeLayer(historicOverlayLayer);
+        historicOverlayLayer = null;
+    }
+    basemapSettings.overlay = !!visible;
+    saveBasemapSettings();
+}
+
+function setHistoricOverlayOpacity(opacity) {
+    basemapSettings.opacity = opacity;
+    if (historicOverlayLayer) historicOverlayLayer.setOpacity(opacity);
+    saveBasemapSettings();
+}
+
+/**
+ * Adds the collapsible basemap control: a radio per basemap, the
+ * historic overlay toggle and its opacity slider.
+ */
+function addBasemapControl() {
+    const BasemapControl = L.Control.extend({
+        options: { position: 'topright' },
+
+        onAdd: function () {
+            const div = L.DomUtil.create('div', 'basemap-control leaflet-bar collapsed');
+            div.innerHTML = `
+                <button class="basemap-toggle" aria-expanded="false" title="Basemap and historic maps">Map</button>
+                <div class="basemap-options">
+                    ${Object.entries(BASEMAPS).map(([key, basemap]) => `
+                    <label><input type="radio" name="basemap" value="${key}" ${key === basemapSettings.basemap ? 'checked' : ''}> ${basemap.label}</label>`).join('')}
+                    ${HISTORIC_OVERLAY.available ? `<label class="basemap-overlay"><input type="checkbox" class="basemap-overlay-toggle" ${basemapSettings.overlay ? 'checked' : ''}> ${HISTORIC_OVERLAY.label}</label>
+                    <label class="basemap-opacity">Opacity
+                        <input type="range" class="basemap-opacity-range" min="0" max="1" step="0.05" value="${basemapSettings.opacity}" ${basemapSettings.overlay ? '' : 'disabled'}>
+                    </label>` : ''}
+                </div>
+            `;
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            const toggle = div.querySelector('.basemap-toggle');
+            const opacityRange = div.querySelector('.basemap-opacity-range');
+            L.DomEvent.on(toggle, 'click', () => {
+                const collapsed = div.classList.toggle('collapsed');
+                toggle.setAttribute('aria-expanded', String(!collapsed));
+            });
+            L.DomEvent.on(div, 'change', (e) => {
+                if (e.target.name === 'basemap') {
+                    setBasemap(e.target.value);
+                    trackEvent('basemap_change', { basemap: e.target.value });
+                } else if (e.target.classList.contains('basemap-overlay-toggle')) {
+                    setHistoricOverlay(e.target.checked);
+                    opacityRange.disabled = !e.target.checked;
+                    trackEvent('historic_overlay_toggle', { visible: e.target.checked });
                 }
-            };
+            });
+            // Live while dragging so old lot lines can be faded against today's
+            if (opacityRange) L.DomEvent.on(opacityRange, 'input', (e) => setHistoricOverlayOpacity(parseFloat(e.target.value)));
+            return div;
         }
-    } catch (e) {
-        // swallow errors — don't block rendering
+    });
+    new BasemapControl().addTo(map);
+}
+
+// --- MAP LEGEND ---
+// A collapsible control explaining the survey layer's fill colors for
+// the active updateSurveyLayer mode, with a count per class. Clicking an
+// entry hides or shows that class on the map.
+
+// How each colored mode classifies features. '' is the "Not recorded" class.
+const SURVEY_LEGEND_MODES = {
+    color: {
+        title: 'Color Code',
+        classOf: (f) => f.properties.CHRS_Color || '',
+        colorOf: getChrsSwatchCss,
+        order: CHRS_COLOR_ORDER
+    },
+    decade: {
+        title: 'Decade Built',
+        classOf: (f) => f.properties.decade || '',
+        colorOf: getDecadeColor,
+        sortByName: true // "1870s or earlier" ... "1940 or later" sort A-Z
+    },
+    architect: {
+        title: 'Architect',
+        classOf: (f) => f.properties.CHRS_Architect || '',
+        colorOf: (value) => getCategoryColor('architect', value)
+    },
+    style: {
+        title: 'Building Style',
+        classOf: (f) => f.properties["CHRS_Building Style"] || '',
+        colorOf: (value) => getCategoryColor('style', value)
     }
+};
+// #survey/filter keeps the color-code fill (see updateSurveyLayer)
+SURVEY_LEGEND_MODES.filter = SURVEY_LEGEND_MODES.color;
 
-    surveyLayer = L.geoJSON(null, {
-        style: styleFunc,
-        filter: filterFunc,
-        onEachFeature: baseSurveyLayer.options.onEachFeature,
-        pane: 'buildingPane'
+/**
+ * Counts the features passing `filterFunc` per legend class, in display
+ * order: [{ value, count }]. Classes follow `order` if the mode has one,
+ * else A-Z if `sortByName`, else largest first; "Not recorded" is last.
+ */
+function countSurveyLegendClasses(legend, filterFunc) {
+    const counts = new Map();
+    surveyData.features.forEach(f => {
+        if (filterFunc && !filterFunc(f)) return;
+        const value = legend.classOf(f);
+        counts.set(value, (counts.get(value) || 0) + 1);
     });
+    const position = (value) => {
+        const i = legend.order.indexOf(value);
+        return i === -1 ? legend.order.length : i;
+    };
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => (a.value === '') - (b.value === '') ||
+            (legend.order ? position(a.value) - position(b.value) : 0) ||
+            (legend.order || legend.sortByName ? 0 : b.count - a.count) ||
+            a.value.localeCompare(b.value));
+}
+
+const SurveyLegendControl = L.Control.extend({
+    options: { position: 'topright' },
+
+    onAdd: function () {
+        const div = L.DomUtil.create('div', 'survey-legend leaflet-bar');
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+        L.DomEvent.on(div, 'change', (e) => {
+            if (e.target.classList.contains('survey-legend-palette')) applySymbologySettings({ palette: e.target.value });
+            if (e.target.classList.contains('survey-legend-hatch')) applySymbologySettings({ hatch: e.target.checked });
+        });
+        L.DomEvent.on(div, 'click', (e) => {
+            if (e.target.closest('.survey-legend-toggle')) {
+                surveyLegendCollapsed = !surveyLegendCollapsed;
+                renderSurveyLegend();
+                return;
+            }
+            if (e.target.closest('.survey-legend-show-all')) {
+                surveyLegendHidden.clear();
+                updateSurveyLayer(surveyLayerMode, surveyLayerFilterValue);
+                return;
+            }
+            const li = e.target.closest('li[data-legend-class]');
+            if (!li) return;
+            const value = li.dataset.legendClass;
+            if (surveyLegendHidden.has(value)) surveyLegendHidden.delete(value);
+            else surveyLegendHidden.add(value);
+            trackEvent('legend_toggle', { mode: surveyLayerMode, visible: !surveyLegendHidden.has(value) });
+            updateSurveyLayer(surveyLayerMode, surveyLayerFilterValue);
+        });
+        this._div = div;
+        return div;
+    }
+});
+
+let surveyLegendControl = null;
+let surveyLegendClasses = []; // Last countSurveyLegendClasses result
+let surveyLegendCollapsed = window.innerWidth < 768; // Start folded on phones
+
+/**
+ * Shows the legend for `mode` with the given class counts, or removes
+ * it for modes without a coloring (default, landmarks, districts).
+ */
+function updateSurveyLegend(mode, classes) {
+    const legend = SURVEY_LEGEND_MODES[mode];
+    if (!legend) {
+        if (surveyLegendControl) map.removeControl(surveyLegendControl);
+        surveyLegendControl = null;
+        return;
+    }
+    surveyLegendClasses = classes;
+    if (!surveyLegendControl) {
+        surveyLegendControl = new SurveyLegendControl();
+        surveyLegendControl.addTo(map);
+    }
+    renderSurveyLegend();
+}
+
+function renderSurveyLegend() {
+    if (!surveyLegendControl || !surveyLegendControl._div) return;
+    const legend = SURVEY_LEGEND_MODES[surveyLayerMode];
+    if (!legend) return;
+    const settings = getSymbologySettings();
+
+    const items = surveyLegendClasses.map(({ value, count }) => {
+        const hidden = surveyLegendHidden.has(value);
+        const swatch = value === '' ? '#FFFFFF' : legend.colorOf(value);
+        return `<li data-legend-class="${escapeHtml(value)}" class="${hidden ? 'legend-hidden' : ''}" title="${hidden ? 'Show' : 'Hide'} on map">
+                    <span class="color-swatch" style="background: ${swatch}"></span>
+                    <span class="survey-legend-label">${value === '' ? 'Not recorded' : escapeHtml(value)}</span>
+                    <span class="survey-legend-count">${count}</span>
+                </li>`;
+    }).join('');
 
-    surveyLayer.addData(surveyData);
-    surveyLayer.addTo(map);
+    surveyLegendControl._div.classList.toggle('collapsed', surveyLegendCollapsed);
+    surveyLegendControl._div.innerHTML = `
+        <button class="survey-legend-toggle" aria-expanded="${!surveyLegendCollapsed}">
+            ${legend.title} <span aria-hidden="true">${surveyLegendCollapsed ? '&#9656;' : '&#9662;'}</span>
+        </button>
+        ${surveyLegendCollapsed ? '' : `
+        <ul class="survey-legend-list">${items || '<li>No buildings</li>'}</ul>
+        ${surveyLegendHidden.size > 0 ? '<button class="survey-legend-show-all">Show all</button>' : ''}
+        <div class="survey-legend-options">
+            <select class="survey-legend-palette" aria-label="Map colors">
+                ${Object.entries(SYMBOLOGY_PALETTES).map(([key, palette]) =>
+                    `<option value="${key}" ${key === settings.palette ? 'selected' : ''}>${palette.label}</option>`).join('')}
+            </select>
+            ${legend === SURVEY_LEGEND_MODES.color ? `
+            <label><input type="checkbox" class="survey-legend-hatch" ${settings.hatch ? 'checked' : ''}> Patterns</label>` : ''}
+        </div>`}
+    `;
+}
+
+/**
+ * Switches palette or hatching, then redraws the map, the legend and
+ * the open panel's swatches in the new colors.
+ */
+function applySymbologySettings(changes) {
+    setSymbologySettings(changes);
+    trackEvent('symbology_change', getSymbologySettings());
+    updateSurveyLayer(surveyLayerMode, surveyLayerFilterValue);
+    refreshPanel();
+    // refreshPanel redraws the list behind an open property; recolor the
+    // card's color code in place rather than rebuilding (and re-tracking) it
+    document.querySelectorAll('.card-chrs-swatch').forEach(el => {
+        el.style.background = getChrsSwatchCss(el.dataset.color);
+    });
+    document.querySelectorAll('.card-chrs-color').forEach(el => {
+        el.style.textDecorationColor = getChrsColor(el.dataset.color) || '#333';
+    });
 }
 
 /** Highlight helpers ******************************************************/
@@ -3980,12 +5881,14 @@ function setHighlight(features, origin, controlButton = null) {
     }
     highlightOrigin = origin || null;
     showHighlightCircles(features);
+    updateUrlMapView();
 }
 
 function clearHighlight() {
     removeHighlightCircles();
     resetHighlightButtonState();
     highlightOrigin = null;
+    updateUrlMapView();
 }
 
 function renderHighlightButton(highlightKey, label) {
@@ -4023,6 +5926,17 @@ function getSurveyStyle(feature) {
     };
 }
 
+/**
+ * Fills survey buildings with their CHRS color code
+ */
+function getColorCodeStyle(feature) {
+    const color = feature.properties.CHRS_Color;
+    if (color) {
+        return getSymbologyFillStyle(getChrsFill(color));
+    }
+    return getSurveyStyle(feature);
+}
+
 /**
  * Style function for the main districts layer
  */
@@ -4039,52 +5953,250 @@ function getDistrictStyle(feature, defaultOpacity = 0.2) {
 }
 
 
+/** Building lookup helpers ************************************************/
+
+/**
+ * Normalizes a Cook County PIN to 14 digits without dashes, e.g.
+ * "25-07-211-023-0000" and 25072110230000 both -> "25072110230000".
+ * Matches the padding used for the assessor photo file names.
+ */
+function normalizePin(pin) {
+    if (pin === null || typeof pin === 'undefined') return '';
+    const digits = String(pin).replace(/\D/g, '').replace(/^0+/, '');
+    return digits ? digits.padEnd(14, '0') : '';
+}
+
+/**
+ * Builds the BLDG_ID and PIN lookups. Called once after data load.
+ */
+function buildBuildingIndex() {
+    buildingsById = new Map();
+    buildingsByPin = new Map();
+    buildingsByAddressSlug = new Map();
+    surveyData.features.forEach(f => {
+        const props = f.properties || {};
+        if (typeof props.BLDG_ID !== 'undefined' && props.BLDG_ID !== null) {
+            buildingsById.set(String(props.BLDG_ID), f);
+        }
+        // Index both the assessor PIN and the survey's PIN; a PIN can
+        // cover several buildings, so each key holds a list.
+        new Set([normalizePin(props.PIN), normalizePin(props.CHRS_PIN)]).forEach(pin => {
+            if (!pin) return;
+            if (!buildingsByPin.has(pin)) buildingsByPin.set(pin, []);
+            buildingsByPin.get(pin).push(f);
+        });
+        const slug = addressSlug(formatAddress(props));
+        if (slug) {
+            if (!buildingsByAddressSlug.has(slug)) buildingsByAddressSlug.set(slug, []);
+            buildingsByAddressSlug.get(slug).push(f);
+        }
+    });
+}
+
+function getFeatureById(bldgId) {
+    if (typeof bldgId === 'undefined' || bldgId === null) return null;
+    return buildingsById.get(String(bldgId)) || null;
+}
+
+function getFeaturesByPin(pin) {
+    return buildingsByPin.get(normalizePin(pin)) || [];
+}
+
+/**
+ * Formats a PIN the way the assessor prints it: 25-07-211-023-0000.
+ */
+function formatPin(pin) {
+    const p = normalizePin(pin);
+    if (!p) return '';
+    return `${p.slice(0, 2)}-${p.slice(2, 4)}-${p.slice(4, 7)}-${p.slice(7, 10)}-${p.slice(10, 14)}`;
+}
+
 /**
- * Parses CHRS_Built_Date into a decade
+ * Readable URL slug for an address, e.g. "10400 S Longwood Drive" and
+ * "10400-s-longwood-dr" both -> "10400-s-longwood-dr". Goes through
+ * normalizeSearchQuery so spelled-out street types and ordinals match.
  */
-function getDecade(dateStr) {
-    if (!dateStr || typeof dateStr !== 'string') return null;
+function addressSlug(text) {
+    return normalizeSearchQuery(String(text || '').replace(/[-_+]+/g, ' '))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
 
-    const match = dateStr.match(/\d{4}/);
-    if (!match) return null;
+function getFeaturesByAddressSlug(slug) {
+    return buildingsByAddressSlug.get(addressSlug(slug)) || [];
+}
+
+/**
+ * Returns the building's path in the current `surveyLayer`, or null if
+ * the active filter excludes it.
+ */
+function getSurveyLayerById(bldgId) {
+    return surveyLayersById.get(String(bldgId)) || null;
+}
 
-    const year = parseInt(match[0], 10);
+/**
+ * Replaces the prev/next navigation list and re-indexes positions.
+ */
+function setNavigationList(list) {
+    currentNavigationList = list || [];
+    currentNavigationPositions = new Map();
+    currentNavigationList.forEach((f, i) => {
+        const id = f && f.properties && f.properties.BLDG_ID;
+        if (typeof id !== 'undefined' && id !== null) currentNavigationPositions.set(String(id), i);
+    });
+}
 
-    if (year < 1880) return "1870s or earlier";
-    if (year < 1890) return "1880s";
-    if (year < 1900) return "1890s";
-    if (year < 1910) return "1900s";
-    if (year < 1920) return "1910s";
-    if (year < 1930) return "1920s";
-    if (year < 1940) return "1930s";
-    return "1940 or later";
+/**
+ * Returns the index of a building in `currentNavigationList`, or -1.
+ */
+function getNavigationPosition(bldgId) {
+    const pos = currentNavigationPositions.get(String(bldgId));
+    return typeof pos === 'number' ? pos : -1;
 }
 
+/**************************************************************************/
+
 /**
  * Gets all features currently in the map bounds
  */
 function getFeaturesInView() {
     const mapBounds = getVisibleMapBounds();
-    // Use precomputed centroids (set during preprocessSurveyData) to avoid
-    // expensive turf.centroid calls on every map move.
-    return surveyData.features.filter(f => {
-        try {
-            if (f && f._centroid && typeof f._centroid.lat === 'number') {
-                const latLng = L.latLng(f._centroid.lat, f._centroid.lng);
-                return mapBounds.contains(latLng);
+    // Use the centroid grid (built once after data load) so follow-map
+    // refreshes only look at buildings near the viewport.
+    if (surveySpatialIndex) {
+        return gridQueryBounds(surveySpatialIndex, mapBounds);
+    }
+    return surveyData.features.filter(f => isFeatureInBounds(f, mapBounds));
+}
+
+/**
+ * Returns `features` narrowed to the ones currently in view. Keeps the
+ * order of the input list.
+ */
+function filterFeaturesInView(features) {
+    const inView = new Set(getFeaturesInView());
+    return features.filter(f => inView.has(f));
+}
+
+/**
+ * Gets all district features whose bounding box overlaps the visible map
+ */
+function getDistrictsInView() {
+    const mapBounds = getVisibleMapBounds();
+    if (districtSpatialIndex) {
+        return gridQueryBounds(districtSpatialIndex, mapBounds);
+    }
+    return allDistricts.filter(d => {
+        try { return L.geoJSON(d).getBounds().intersects(mapBounds); }
+        catch (e) { return false; }
+    });
+}
+
+/**
+ * Returns true if a survey feature's centroid lies inside `bounds`.
+ */
+function isFeatureInBounds(feature, bounds) {
+    try {
+        if (feature && feature._centroid && typeof feature._centroid.lat === 'number') {
+            return bounds.contains(L.latLng(feature._centroid.lat, feature._centroid.lng));
+        }
+        // If centroid isn't available, fall back to attempting a centroid
+        // (but this should be rare because preprocessSurveyData sets it).
+        const center = iCentroid(feature);
+        return bounds.contains(L.latLng(center.geometry.coordinates[1], center.geometry.coordinates[0]));
+    } catch (e) {
+        // Avoid throwing; just treat as out-of-view
+        return false;
+    }
+}
+
+/** Spatial index helpers ***************************************************/
+// A uniform lng/lat grid. Each entry is stored in every cell its box
+// touches; points are just zero-size boxes. ~0.002° is roughly one
+// Chicago block, so a street-level viewport touches a few dozen cells.
+const SPATIAL_GRID_CELL_DEG = 0.002;
+
+function createGridIndex(cellSize) {
+    return {
+        cellSize,
+        cells: new Map(),
+        minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+    };
+}
+
+function gridInsert(index, item, minLng, minLat, maxLng, maxLat) {
+    const entry = { item, minLng, minLat, maxLng, maxLat };
+    const x0 = Math.floor(minLng / index.cellSize);
+    const y0 = Math.floor(minLat / index.cellSize);
+    const x1 = Math.floor(maxLng / index.cellSize);
+    const y1 = Math.floor(maxLat / index.cellSize);
+    for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+            const key = `${x}:${y}`;
+            let cell = index.cells.get(key);
+            if (!cell) { cell = []; index.cells.set(key, cell); }
+            cell.push(entry);
+        }
+    }
+    index.minX = Math.min(index.minX, x0); index.minY = Math.min(index.minY, y0);
+    index.maxX = Math.max(index.maxX, x1); index.maxY = Math.max(index.maxY, y1);
+}
+
+/**
+ * Returns the items whose boxes intersect a Leaflet LatLngBounds.
+ * The cell range is clamped to the populated extent so a zoomed-out
+ * viewport doesn't walk millions of empty cells.
+ */
+function gridQueryBounds(index, bounds) {
+    const minLng = bounds.getWest(), minLat = bounds.getSouth();
+    const maxLng = bounds.getEast(), maxLat = bounds.getNorth();
+    const x0 = Math.max(index.minX, Math.floor(minLng / index.cellSize));
+    const y0 = Math.max(index.minY, Math.floor(minLat / index.cellSize));
+    const x1 = Math.min(index.maxX, Math.floor(maxLng / index.cellSize));
+    const y1 = Math.min(index.maxY, Math.floor(maxLat / index.cellSize));
+
+    const results = [];
+    const seen = new Set();
+    for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+            const cell = index.cells.get(`${x}:${y}`);
+            if (!cell) continue;
+            for (let i = 0; i < cell.length; i++) {
+                const e = cell[i];
+                if (seen.has(e)) continue;
+                seen.add(e);
+                if (e.maxLng < minLng || e.minLng > maxLng || e.maxLat < minLat || e.minLat > maxLat) continue;
+                results.push(e.item);
             }
-            // If centroid isn't available, fall back to attempting a centroid
-            // (but this should be rare because preprocessSurveyData sets it).
-            const center = iCentroid(f);
-            const latLng = L.latLng(center.geometry.coordinates[1], center.geometry.coordinates[0]);
-            return mapBounds.contains(latLng);
+        }
+    }
+    return results;
+}
+
+/**
+ * Builds the centroid and district grids. Called once after data load.
+ */
+function buildSpatialIndexes() {
+    surveySpatialIndex = createGridIndex(SPATIAL_GRID_CELL_DEG);
+    surveyData.features.forEach(f => {
+        const c = f._centroid;
+        if (c && typeof c.lat === 'number') gridInsert(surveySpatialIndex, f, c.lng, c.lat, c.lng, c.lat);
+    });
+
+    districtSpatialIndex = createGridIndex(SPATIAL_GRID_CELL_DEG);
+    allDistricts.forEach(d => {
+        try {
+            const b = turf.bbox(d);
+            gridInsert(districtSpatialIndex, d, b[0], b[1], b[2], b[3]);
         } catch (e) {
-            // Avoid throwing; just treat as out-of-view
-            return false;
+            console.debug('Could not index district bounds', e);
         }
     });
 }
 
+/**************************************************************************/
+
 /**
  * Returns the map bounds that are visible to the user, excluding any
  * overlaying right-side panel on desktop. This ensures "Follow map"
@@ -4112,18 +6224,8 @@ function getVisibleMapBounds() {
  * filter). If the surveyLayer isn't present, assume it's visible.
  */
 function isPropertyIncludedInSurveyLayer(bldgId) {
-    try {
-        if (!surveyLayer) return true;
-        const layers = surveyLayer.getLayers ? surveyLayer.getLayers() : [];
-        for (let i = 0; i < layers.length; i++) {
-            const lf = layers[i];
-            const id = lf && lf.feature && lf.feature.properties && lf.feature.properties.BLDG_ID;
-            if (typeof id !== 'undefined' && String(id) === String(bldgId)) return true;
-        }
-    } catch (e) {
-        console.debug('isPropertyIncludedInSurveyLayer error', e);
-    }
-    return false;
+    if (!surveyLayer) return true;
+    return surveyLayersById.has(String(bldgId));
 }
 
 /**
@@ -4133,8 +6235,7 @@ function isPropertyIncludedInSurveyLayer(bldgId) {
  */
 function isPropertyVisibleInCurrentFilter(bldgId) {
     try {
-        // Find feature in full dataset
-        const feature = surveyData.features.find(f => String(f.properties.BLDG_ID) === String(bldgId));
+        const feature = getFeatureById(bldgId);
         if (!feature) return false;
 
         // If it's filtered out of the survey layer, it's not visible
@@ -4142,18 +6243,7 @@ function isPropertyVisibleInCurrentFilter(bldgId) {
 
         // Only check map bounds if "Follow map" is enabled
         if (isMapFollowEnabled) {
-            const mapBounds = getVisibleMapBounds();
-            if (feature._centroid && typeof feature._centroid.lat === 'number') {
-                const latLng = L.latLng(feature._centroid.lat, feature._centroid.lng);
-                return mapBounds.contains(latLng);
-            }
-            // Fallback: compute centroid once
-            const c = iCentroid(feature);
-            if (c && c.geometry && c.geometry.coordinates) {
-                const latLng = L.latLng(c.geometry.coordinates[1], c.geometry.coordinates[0]);
-                return mapBounds.contains(latLng);
-            }
-            return false;
+            return isFeatureInBounds(feature, getVisibleMapBounds());
         }
         // If not following map, just check filter inclusion
         return true;
@@ -4174,7 +6264,7 @@ function attemptShowProperty(bldgId) {
     try {
         const idStr = String(bldgId);
         if (isPropertyVisibleInCurrentFilter(idStr)) {
-            window.location.hash = `#property/${idStr}`;
+            navigateTo(`#property/${idStr}`);
             return;
         }
 
@@ -4184,7 +6274,7 @@ function attemptShowProperty(bldgId) {
             // Navigate to home (clears filters) then open property after a short delay
             navigateHomeWithTrace('attemptShowProperty: clearing filters for search');
             setTimeout(() => {
-                try { window.location.hash = `#property/${idStr}`; } catch (e) { console.debug('Could not set hash to property after clearing filters', e); }
+                try { navigateTo(`#property/${idStr}`); } catch (e) { console.debug('Could not navigate to property after clearing filters', e); }
             }, 180);
         } else {
             // user cancelled: do nothing
@@ -4193,66 +6283,28 @@ function attemptShowProperty(bldgId) {
 }
 
 /**
- * Generates a consistent, non-random color from a string (for CHRS)
- */
-function stringToColor(str) {
-    if (!str) return '#CCCCCC';
-
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-
-    const scaledHue = Math.abs(hash % 240);
-    const finalHue = (scaledHue > 40) ? scaledHue + 120 : scaledHue;
-
-    return `hsl(${finalHue}, 80%, 60%)`;
-}
-
-/**
- * Returns a distinct color for a given decade.
- */
-function getDecadeColor(decade) {
-    if (!decade) return '#CCCCCC';
-    const d = decade.toLowerCase();
-    if (d.includes('1870')) return '#8E24AA'; // Purple
-    if (d.includes('1880')) return '#D81B60'; // Pink
-    if (d.includes('1890')) return '#E53935'; // Red
-    if (d.includes('1900')) return '#FB8C00'; // Orange
-    if (d.includes('1910')) return '#FDD835'; // Yellow
-    if (d.includes('1920')) return '#43A047'; // Green
-    if (d.includes('1930')) return '#00897B'; // Teal
-    if (d.includes('1940')) return '#1E88E5'; // Blue
-    return stringToColor(decade); // Fallback
-}
-
-/**
- * Finds the district name (key) that contains a given building id
- * using the precomputed `districtFeatureMap`. Returns the district
- * name string or null if not found.
+ * Finds the names of every district that contains a given building id
+ * using the precomputed `districtFeatureMap`. Returns an array (empty
+ * if the building is in no district), in district load order.
  */
-function findDistrictNameForProperty(bldgId) {
+function findDistrictNamesForProperty(bldgId) {
     // Fast path: use reverse index if available
-    if (bldgIdToDistrict && typeof bldgIdToDistrict[bldgId] !== 'undefined') {
-        return bldgIdToDistrict[bldgId] || null;
+    if (bldgIdToDistricts && typeof bldgIdToDistricts[bldgId] !== 'undefined') {
+        return (bldgIdToDistricts[bldgId] || []).slice();
     }
     // Fallback: scan districtFeatureMap if reverse index isn't built
-    if (!districtFeatureMap) return null;
+    const names = [];
+    if (!districtFeatureMap) return names;
     try {
         for (const dname in districtFeatureMap) {
             const arr = districtFeatureMap[dname];
             if (!arr || arr.length === 0) continue;
-            for (let i = 0; i < arr.length; i++) {
-                const f = arr[i];
-                if (f && f.properties && f.properties.BLDG_ID === bldgId) return dname;
-            }
+            if (arr.some(f => f && f.properties && f.properties.BLDG_ID === bldgId)) names.push(dname);
         }
     } catch (e) {
-        console.debug('findDistrictNameForProperty error', e);
+        console.debug('findDistrictNamesForProperty error', e);
     }
-    return null;
+    return names;
 }
 
 /**
@@ -4261,8 +6313,9 @@ function findDistrictNameForProperty(bldgId) {
 function getDistrictColor(str) {
     if (!str) return '#CCCCCC';
 
-    if (districtConfig[str]) {
-        return districtConfig[str].color;
+    const entry = getDistrictRegistryEntry(str);
+    if (entry && entry.color) {
+        return entry.color;
     }
 
     let hash = 0;
@@ -4275,40 +6328,12 @@ function getDistrictColor(str) {
 
 
 /**
- * One-time data pre-processing
+ * One-time data pre-processing (main-thread fallback; normally done by
+ * survey_worker.js). See preprocessSurveyFeatures in survey_processing.js.
  */
 function preprocessSurveyData() {
-    surveyData.features.forEach(f => {
-        const props = f.properties;
-        const decade = getDecade(props.CHRS_Built_Date);
-        if (decade) {
-            f.properties.decade = decade;
-        }
-        // Precompute centroids (lat/lng) once so getFeaturesInView can be
-        // fast and avoid calling turf.centroid repeatedly on map moves.
-        try {
-            // Use pre-calculated centroids if available
-            if (props.Centroid_X !== undefined && props.Centroid_Y !== undefined) {
-                f._centroid = {
-                    lng: Number(props.Centroid_X),
-                    lat: Number(props.Centroid_Y)
-                };
-            } else {
-                // Fallback to runtime calculation
-                const c = iCentroid(f);
-                if (c && c.geometry && c.geometry.coordinates) {
-                    f._centroid = {
-                        lng: c.geometry.coordinates[0],
-                        lat: c.geometry.coordinates[1]
-                    };
-                }
-            }
-        } catch (e) {
-            // If centroid computation fails, leave _centroid undefined.
-            // getFeaturesInView will fall back to a one-off turf.centroid.
-            console.debug('Could not compute centroid for a feature during preprocess', e && e.message ? e.message : e);
-        }
-    });
+    preprocessSurveyFeatures(surveyData.features, iCentroid,
+        (done, total) => updateLoadingIndicator('preprocess', done, total));
 }
 
 /**
@@ -4382,14 +6407,172 @@ function setLocationMode(mode) {
 }
 
 /**
- * Return the last non-property hash stored in our `appHistory` (or null).
+ * Return the list/panel hash the current history entry belongs to (the
+ * entry itself unless it's a property), or null.
  */
 function getLastNonPropertyHash() {
-    for (let i = appHistory.length - 1; i >= 0; i--) {
-        const h = appHistory[i] || '';
-        if (!h.startsWith('#property/')) return h || null;
+    const entry = window.history.state;
+    return (entry && entry.listHash) || null;
+}
+
+/**
+ * Builds the state stored on a new history entry. `prev` is the entry
+ * we're navigating from (null on first load). The map view isn't kept
+ * here: updateUrlMapView stamps it onto each entry's URL instead.
+ */
+function createHistoryEntry(hash, prev) {
+    const index = prev ? prev.index + 1 : 0;
+    const isProperty = hash.startsWith('#property/');
+    return {
+        key: `${Date.now().toString(36)}-${++historyEntryCounter}`,
+        index,
+        hash,
+        prevHash: prev ? prev.hash : null,
+        // The list a property was opened from, and where that list sits
+        // in history, so "close" can return to it with its scroll intact.
+        listHash: isProperty ? (prev ? prev.listHash : null) : hash,
+        listIndex: isProperty ? (prev ? prev.listIndex : -1) : index,
+        scroll: 0
+    };
+}
+
+/**
+ * Merges `changes` into the current history entry's state.
+ */
+function saveHistoryEntryState(changes) {
+    const entry = window.history.state;
+    if (!entry || !entry.key) return;
+    try {
+        window.history.replaceState({ ...entry, ...changes }, '', window.location.hash || '#');
+    } catch (e) { }
+}
+
+/**
+ * Navigate to a hash route with a new history entry. Use this instead
+ * of assigning window.location.hash.
+ */
+function navigateTo(hash) {
+    let target = !hash ? '#' : (hash.startsWith('#') ? hash : `#${hash}`);
+    target = getRedirectHash(target) || target;
+    // Same as assigning the current hash: nothing to do
+    if (target === (getRouteHash() || '#')) return;
+
+    // Keep the list's scroll position on the entry we're leaving
+    if (scrollSaveTimer) { clearTimeout(scrollSaveTimer); scrollSaveTimer = null; }
+    const scrollableContent = bottomSheet && bottomSheet.querySelector('.scrollable-content');
+    if (scrollableContent) saveHistoryEntryState({ scroll: scrollableContent.scrollTop });
+
+    const entry = createHistoryEntry(parseMapViewSuffix(target).routeHash, currentHistoryEntry);
+    try {
+        window.history.pushState(entry, '', target);
+    } catch (e) {
+        // Very old browsers: fall back to plain hash navigation
+        window.location.hash = target;
+        return;
+    }
+    handleHashChange();
+}
+
+/**
+ * Closes the property view the same way the browser back button would:
+ * return to the history entry of the list it was opened from (restoring
+ * that entry's scroll and map view). Opened straight from a link there
+ * is no such entry, so open the list (or home) instead.
+ */
+function closePropertyView(note) {
+    const entry = window.history.state;
+    if (entry && entry.key && entry.listIndex >= 0 && entry.listIndex < entry.index) {
+        window.history.go(entry.listIndex - entry.index);
+    } else if (entry && entry.listHash) {
+        navigateTo(entry.listHash);
+    } else {
+        navigateHomeWithTrace(note);
+    }
+}
+
+/**
+ * The current route hash without any map view suffix. Use this rather
+ * than reading window.location.hash directly.
+ */
+function getRouteHash() {
+    return parseMapViewSuffix(window.location.hash).routeHash;
+}
+
+/**
+ * Splits "#route@lat,lng,zoomz[,follow][,hl=key]" into the route hash
+ * and { lat, lng, zoom, follow, highlight } (view is null if absent).
+ */
+function parseMapViewSuffix(hash) {
+    const h = hash || '';
+    const m = h.match(MAP_VIEW_SUFFIX_RE);
+    if (!m) return { routeHash: h, view: null };
+    const view = {
+        lat: parseFloat(m[1]),
+        lng: parseFloat(m[2]),
+        zoom: parseFloat(m[3]),
+        follow: false,
+        highlight: null
+    };
+    if (!isFinite(view.lat) || !isFinite(view.lng) || !isFinite(view.zoom)) return { routeHash: h, view: null };
+    (m[4] || '').split(',').filter(Boolean).forEach(flag => {
+        if (flag === 'follow') view.follow = true;
+        else if (flag.startsWith('hl=')) {
+            try { view.highlight = decodeURIComponent(flag.slice(3)); } catch (e) { }
+        }
+    });
+    return { routeHash: h.slice(0, m.index), view };
+}
+
+/**
+ * Builds the view suffix for the map as it is right now.
+ */
+function formatMapViewSuffix() {
+    const c = map.getCenter();
+    let suffix = `@${c.lat.toFixed(5)},${c.lng.toFixed(5)},${map.getZoom()}z`;
+    if (isMapFollowEnabled) suffix += ',follow';
+    if (highlightOrigin) suffix += `,hl=${encodeURIComponent(highlightOrigin)}`;
+    return suffix;
+}
+
+/**
+ * Stamps the current map view onto the URL without adding a history
+ * entry or triggering the router, so copying the address bar shares
+ * exactly what is on screen.
+ */
+function updateUrlMapView() {
+    if (!isDataLoaded || !window.history || !window.history.replaceState) return;
+    try {
+        const next = `${getRouteHash() || '#'}${formatMapViewSuffix()}`;
+        if (next !== window.location.hash) {
+            window.history.replaceState(window.history.state, '', next);
+        }
+    } catch (e) {
+        console.debug('updateUrlMapView error', e);
+    }
+}
+
+/**
+ * Moves the map to a parsed view and restores the follow-map state.
+ */
+function applyMapView(view) {
+    isMapFollowEnabled = !!view.follow;
+    map.setView([view.lat, view.lng], view.zoom, { animate: false });
+}
+
+/**
+ * Restores the highlight set recorded in a parsed view. Runs after the
+ * panel is built because panels populate highlightFeatureCache.
+ */
+function applyMapViewHighlight(view) {
+    if (!view.highlight) {
+        clearHighlight();
+        return;
     }
-    return null;
+    const features = highlightFeatureCache[view.highlight];
+    if (!features) return;
+    const button = Array.from(document.querySelectorAll('.highlight-toggle'))
+        .find(btn => btn.dataset.highlightKey === view.highlight) || null;
+    setHighlight(features, view.highlight, button);
 }
 
 /**
@@ -4468,8 +6651,8 @@ function smartSetView(latlng, zoom, options) {
 /**
  * Navigate to the home/hash="#" while emitting a lightweight stack trace
  * so we can diagnose unexpected callers that send the app back to the
- * main view. Use this instead of assigning `window.location.hash = '#'`
- * directly when we want traceability.
+ * main view. Use this instead of `navigateTo('#')` directly when we
+ * want traceability.
  */
 function navigateHomeWithTrace(note) {
     try {
@@ -4477,7 +6660,7 @@ function navigateHomeWithTrace(note) {
         // Print a stack trace to help identify the caller path in user repros
         console.trace('[TRACE] navigateHomeWithTrace stack');
     } catch (e) { }
-    try { window.location.hash = '#'; } catch (e) { }
+    navigateTo('#');
 }
 
 /**
@@ -4539,7 +6722,7 @@ function navigateToPanel(panelHash) {
 
         // Finally, set the hash to change the panel. This will also get
         // picked up by the router logic which may perform additional work.
-        try { window.location.hash = h; } catch (e) { console.debug('navigateToPanel set hash error', e); }
+        navigateTo(h);
     } catch (e) {
         console.debug('navigateToPanel error', e);
     }
@@ -4548,16 +6731,16 @@ function navigateToPanel(panelHash) {
 /**
  * Renders search results for the welcome panel dropdown
  */
-function renderWelcomeSearchResults(results, dropdown, input) {
-    if (!results || results.length === 0) {
+function renderWelcomeSearchResults(groups, dropdown, input) {
+    if (!groups || groups.length === 0) {
         dropdown.style.display = 'none';
         return;
     }
 
-    const listHtml = results.map(f => {
-        const address = formatAddress(f.properties);
-        return `<div class="search-result-item" data-id="${f.properties.BLDG_ID}" style="padding: 10px 12px; cursor: pointer; border-bottom: 1px solid #eee; font-size: 15px; color: #333;">${address}</div>`;
-    }).join('');
+    const listHtml = groups.map(group => `
+        <div style="padding: 6px 12px; background: #f5f5f5; color: #666; font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">${group.label}</div>
+        ${group.items.map(item => `<div class="search-result-item" data-kind="${item.kind}" data-value="${escapeHtml(item.value)}" role="option" style="padding: 10px 12px; cursor: pointer; border-bottom: 1px solid #eee; font-size: 15px; color: #333;">${item.html}</div>`).join('')}
+    `).join('');
 
     dropdown.innerHTML = listHtml;
     dropdown.style.display = 'block';
@@ -4566,10 +6749,9 @@ function renderWelcomeSearchResults(results, dropdown, input) {
     dropdown.querySelectorAll('.search-result-item').forEach(item => {
         item.addEventListener('click', (e) => {
             e.stopPropagation(); // Prevent bubbling
-            const id = item.dataset.id;
-            attemptShowProperty(id);
+            openSearchResult(item.dataset.kind, item.dataset.value, input.value);
             dropdown.style.display = 'none';
             input.value = '';
         });
     });
-}
\ No newline at end of file
+}
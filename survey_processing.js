@@ -0,0 +1,156 @@
+/*================================================================
+    SURVEY_PROCESSING.JS - Data preparation shared by the main
+    thread (app.js) and the background worker (survey_worker.js)
+================================================================*/
+
+// This file is loaded both with a <script> tag and with importScripts()
+// inside the worker, so it must not touch the DOM, Leaflet or `map`.
+// Anything expensive (centroids, point-in-polygon) is passed in by the
+// caller so app.js can keep counting calls through its perfStats wrappers.
+
+/**
+ * Parses CHRS_Built_Date into a decade
+ */
+function getDecade(dateStr) {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+
+    const match = dateStr.match(/\d{4}/);
+    if (!match) return null;
+
+    const year = parseInt(match[0], 10);
+
+    if (year < 1880) return "1870s or earlier";
+    if (year < 1890) return "1880s";
+    if (year < 1900) return "1890s";
+    if (year < 1910) return "1900s";
+    if (year < 1920) return "1910s";
+    if (year < 1930) return "1920s";
+    if (year < 1940) return "1930s";
+    return "1940 or later";
+}
+
+/**
+ * Parses a built date into the range of years it allows:
+ * { from, to, exact }. "1905" is exact; "1910s" is 1910-1919; "1905-10"
+ * and "1905-1910" are ranges; "c. 1905" is 1903-1907; "1940+" and
+ * "1940 or later" are open-ended (to: null). Also accepts a number
+ * (YEAR_BUILT). Returns null if there's no four-digit year.
+ */
+function parseBuiltYearRange(value) {
+    if (typeof value === 'number') {
+        return value > 0 ? { from: value, to: value, exact: true } : null;
+    }
+    if (!value || typeof value !== 'string') return null;
+    const s = value.trim().toLowerCase();
+
+    let m = s.match(/(\d{4})\s*(?:\+|or later|and later|or after)/);
+    if (m) return { from: parseInt(m[1], 10), to: null, exact: false };
+
+    m = s.match(/(\d{3})0s/);
+    if (m) return { from: parseInt(m[1] + '0', 10), to: parseInt(m[1] + '9', 10), exact: false };
+
+    m = s.match(/(\d{4})\s*[-\u2013\/]\s*(\d{2,4})/);
+    if (m) {
+        const from = parseInt(m[1], 10);
+        // "1905-10" -> 1910
+        const to = m[2].length === 4 ? parseInt(m[2], 10) : parseInt(m[1].slice(0, 4 - m[2].length) + m[2], 10);
+        if (to >= from) return { from, to, exact: false };
+    }
+
+    m = s.match(/\d{4}/);
+    if (!m) return null;
+    const year = parseInt(m[0], 10);
+    if (/^(c\b|ca\b|circa|about|approx)/.test(s)) return { from: year - 2, to: year + 2, exact: false };
+    return { from: year, to: year, exact: true };
+}
+
+/**
+ * Returns the district NAME for a district feature, or null.
+ */
+function getDistrictFeatureName(d) {
+    return (d && d.properties && (d.properties.NAME || d.properties.name)) || null;
+}
+
+/**
+ * Derives `properties.decade` and caches `_centroid` ({ lat, lng }) on
+ * every survey feature. `centroidFn` is a turf.centroid-compatible
+ * function used when the data has no Centroid_X / Centroid_Y columns.
+ * `onProgress(done, total)` is called periodically if supplied.
+ */
+function preprocessSurveyFeatures(features, centroidFn, onProgress) {
+    const total = features.length;
+    features.forEach((f, i) => {
+        const props = f.properties;
+        const decade = getDecade(props.CHRS_Built_Date);
+        if (decade) {
+            f.properties.decade = decade;
+        }
+        // Precompute centroids (lat/lng) once so getFeaturesInView can be
+        // fast and avoid calling turf.centroid repeatedly on map moves.
+        try {
+            // Use pre-calculated centroids if available
+            if (props.Centroid_X !== undefined && props.Centroid_Y !== undefined) {
+                f._centroid = {
+                    lng: Number(props.Centroid_X),
+                    lat: Number(props.Centroid_Y)
+                };
+            } else {
+                // Fallback to runtime calculation
+                const c = centroidFn(f);
+                if (c && c.geometry && c.geometry.coordinates) {
+                    f._centroid = {
+                        lng: c.geometry.coordinates[0],
+                        lat: c.geometry.coordinates[1]
+                    };
+                }
+            }
+        } catch (e) {
+            // If centroid computation fails, leave _centroid undefined.
+            // getFeaturesInView will fall back to a one-off turf.centroid.
+            console.debug('Could not compute centroid for a feature during preprocess', e && e.message ? e.message : e);
+        }
+        if (onProgress && (i % 250 === 0 || i === total - 1)) onProgress(i + 1, total);
+    });
+}
+
+/**
+ * Tests every survey feature's cached centroid against every district
+ * geometry. Returns a map from district NAME -> array of indexes into
+ * `features` (indexes, not features, so the result can be posted back
+ * from the worker cheaply and re-attached to the main-thread copy).
+ * `pointInPolygonFn` is a turf.booleanPointInPolygon-compatible function.
+ * `onProgress(done, total)` is called after each district.
+ */
+function buildDistrictMembership(features, districts, pointInPolygonFn, onProgress) {
+    const membership = {};
+    // Only iterate over districts that have a NAME property
+    districts.forEach(d => {
+        const name = getDistrictFeatureName(d);
+        if (name) membership[name] = [];
+    });
+
+    const total = districts.length;
+    districts.forEach((d, di) => {
+        try {
+            const name = getDistrictFeatureName(d);
+            const geom = d && d.geometry;
+            if (!name || !geom) return;
+
+            for (let i = 0; i < features.length; i++) {
+                const c = features[i]._centroid;
+                if (!c || typeof c.lat !== 'number') continue;
+                const pt = { type: 'Feature', geometry: { type: 'Point', coordinates: [c.lng, c.lat] } };
+                try {
+                    if (pointInPolygonFn(pt, geom)) membership[name].push(i);
+                } catch (e) {
+                    // ignore individual failures
+                }
+            }
+        } catch (e) {
+            // ignore per-district failures
+        } finally {
+            if (onProgress) onProgress(di + 1, total);
+        }
+    });
+    return membership;
+}
@@ -0,0 +1,62 @@
+/*================================================================
+    SURVEY_WORKER.JS - Background loading for the Historic Survey Map
+================================================================*/
+
+// Fetches and parses the GeoJSON sources, derives decades/centroids and
+// computes which survey features fall inside which district, all off the
+// main thread. app.js starts this worker from loadDataSources() and
+// falls back to doing the same work itself if the worker can't start.
+//
+// Messages posted back to the page:
+//   { type: 'progress', stage, done, total }
+//   { type: 'result', surveyData, nationalDistricts, chicagoDistricts, districtMembership }
+//   { type: 'error', message }
+
+importScripts('survey_processing.js');
+
+// Same local-first, CDN-fallback order that index.html uses for Turf.
+try {
+    importScripts('vendor/turf.min.js');
+} catch (e) {
+    try {
+        importScripts('https://unpkg.com/@turf/turf@6.5.0/turf.min.js');
+    } catch (e2) {
+        importScripts('https://cdn.jsdelivr.net/npm/@turf/turf@6.5.0/turf.min.js');
+    }
+}
+
+function postProgress(stage, done, total) {
+    self.postMessage({ type: 'progress', stage, done, total });
+}
+
+async function fetchJson(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not fetch ${url} (${res.status})`);
+    return res.json();
+}
+
+self.onmessage = async (e) => {
+    const msg = e.data || {};
+    if (msg.type !== 'load') return;
+
+    try {
+        postProgress('fetch', 0, 1);
+        const [surveyData, nationalDistricts, chicagoDistricts] = await Promise.all([
+            fetchJson(msg.surveyUrl),
+            fetchJson(msg.nationalUrl),
+            fetchJson(msg.chicagoUrl)
+        ]);
+        postProgress('fetch', 1, 1);
+
+        preprocessSurveyFeatures(surveyData.features, turf.centroid,
+            (done, total) => postProgress('preprocess', done, total));
+
+        const allDistricts = [...nationalDistricts.features, ...chicagoDistricts.features];
+        const districtMembership = buildDistrictMembership(surveyData.features, allDistricts, turf.booleanPointInPolygon,
+            (done, total) => postProgress('districts', done, total));
+
+        self.postMessage({ type: 'result', surveyData, nationalDistricts, chicagoDistricts, districtMembership });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+    }
+};
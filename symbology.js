@@ -0,0 +1,259 @@
+/*================================================================
+    SYMBOLOGY.JS - Palettes and fills for the Historic Survey Map
+================================================================*/
+
+// Every color the survey map, its legend, the list swatches and the
+// property card use for CHRS ratings, decades, architects and styles
+// comes from here, so switching palettes changes all of them at once.
+// Loaded with a <script> tag before app.js; it doesn't touch the map.
+//
+// The chosen palette and the hatch option are kept in localStorage.
+
+const SYMBOLOGY_STORAGE_KEY = 'ridge_symbology';
+
+// Decade keys in getDecade() order ("1870s or earlier" ... "1940 or later")
+const SYMBOLOGY_DECADES = ['1870', '1880', '1890', '1900', '1910', '1920', '1930', '1940'];
+
+const SYMBOLOGY_PALETTES = {
+    standard: {
+        label: 'Standard',
+        chrs: {
+            'Red': '#FF0000',
+            'Orange': '#FFA500',
+            'Yellow': '#FFFF00',
+            'Yellow/Green': '#ADFF2F',
+            'Green': '#008000',
+            'Purple': '#800080',
+            'Blue': '#0000FF'
+        },
+        decades: ['#8E24AA', '#D81B60', '#E53935', '#FB8C00', '#FDD835', '#43A047', '#00897B', '#1E88E5'],
+        // Tableau 10 plus two; assigned to the most common values first
+        categories: ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948',
+            '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC', '#86BCB6', '#D37295'],
+        fillOpacity: 0.6,
+        outline: { color: '#000000', weight: 1, opacity: 0.5 }
+    },
+    // Okabe-Ito and Paul Tol colors, which stay apart for the common
+    // forms of color blindness. Yellow/Green becomes olive so it no
+    // longer reads as Yellow.
+    'color-blind': {
+        label: 'Color-blind safe',
+        chrs: {
+            'Red': '#D55E00',
+            'Orange': '#E69F00',
+            'Yellow': '#F0E442',
+            'Yellow/Green': '#999933',
+            'Green': '#009E73',
+            'Purple': '#CC79A7',
+            'Blue': '#0072B2'
+        },
+        // viridis, oldest dark to newest light
+        decades: ['#440154', '#46327E', '#365C8D', '#277F8E', '#1FA187', '#4AC16D', '#A0DA39', '#FDE725'],
+        categories: ['#332288', '#88CCEE', '#44AA99', '#117733', '#999933', '#DDCC77',
+            '#CC6677', '#882255', '#AA4499', '#DDDDDD'],
+        fillOpacity: 0.7,
+        outline: { color: '#000000', weight: 1, opacity: 0.6 }
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        chrs: {
+            'Red': '#C00000',
+            'Orange': '#FF7F00',
+            'Yellow': '#FFFF00',
+            'Yellow/Green': '#7FFF00',
+            'Green': '#005A00',
+            'Purple': '#6A00A8',
+            'Blue': '#0000C8'
+        },
+        decades: ['#4B0082', '#C2185B', '#E00000', '#FF7F00', '#FFE000', '#00B000', '#00A0A0', '#0040FF'],
+        categories: ['#E6194B', '#3CB44B', '#FFE119', '#4363D8', '#F58231', '#911EB4',
+            '#42D4F4', '#F032E6', '#BFEF45', '#000075', '#9A6324', '#800000'],
+        fillOpacity: 0.85,
+        outline: { color: '#000000', weight: 1.5, opacity: 0.9 }
+    }
+};
+
+// Pattern drawn over each CHRS class when hatching is on, so the classes
+// differ by texture as well as color
+const CHRS_HATCH_PATTERNS = {
+    'Red': 'solid',
+    'Orange': 'diagonal',
+    'Yellow': 'dots',
+    'Yellow/Green': 'cross',
+    'Green': 'horizontal',
+    'Purple': 'vertical',
+    'Blue': 'reverse-diagonal'
+};
+
+let symbologySettings = loadSymbologySettings();
+let symbologyCategoryRanks = {}; // kind -> Map(value -> rank by frequency)
+let symbologyPatternCache = new Map(); // `${palette}|${class}` -> CanvasPattern
+
+function loadSymbologySettings() {
+    const defaults = { palette: 'standard', hatch: false };
+    try {
+        const saved = JSON.parse(localStorage.getItem(SYMBOLOGY_STORAGE_KEY) || '{}');
+        return {
+            palette: SYMBOLOGY_PALETTES[saved.palette] ? saved.palette : defaults.palette,
+            hatch: saved.hatch === true
+        };
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function getSymbologySettings() {
+    return Object.assign({}, symbologySettings);
+}
+
+/**
+ * Changes and persists the palette and/or hatch option, e.g.
+ * setSymbologySettings({ palette: 'color-blind' }). Callers redraw.
+ */
+function setSymbologySettings(changes) {
+    const next = Object.assign({}, symbologySettings, changes);
+    if (!SYMBOLOGY_PALETTES[next.palette]) next.palette = 'standard';
+    next.hatch = next.hatch === true;
+    symbologySettings = next;
+    try { localStorage.setItem(SYMBOLOGY_STORAGE_KEY, JSON.stringify(next)); } catch (e) { /* ignore storage errors */ }
+}
+
+function getActivePalette() {
+    return SYMBOLOGY_PALETTES[symbologySettings.palette] || SYMBOLOGY_PALETTES.standard;
+}
+
+/**
+ * Flat color for a CHRS rating ("Red", "Yellow/Green", ...), or null.
+ */
+function getChrsColor(value) {
+    const key = getChrsKey(value);
+    return key ? getActivePalette().chrs[key] : null;
+}
+
+// Canonical rating name for a CHRS_Color value ("yellow " -> "Yellow"), or null
+function getChrsKey(value) {
+    if (!value) return null;
+    const wanted = String(value).trim().toLowerCase();
+    return Object.keys(CHRS_HATCH_PATTERNS).find(k => k.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Map fill for a CHRS rating: a flat color, or a CanvasPattern when
+ * hatching is on (the canvas renderer accepts either as fillColor).
+ */
+function getChrsFill(value) {
+    const color = getChrsColor(value) || String(value || '').toLowerCase();
+    const key = getChrsKey(value);
+    const pattern = symbologySettings.hatch && key ? CHRS_HATCH_PATTERNS[key] : null;
+    if (!pattern || pattern === 'solid' || typeof document === 'undefined') return color;
+
+    const cacheKey = `${symbologySettings.palette}|${key}`;
+    if (!symbologyPatternCache.has(cacheKey)) {
+        symbologyPatternCache.set(cacheKey, createHatchPattern(color, pattern));
+    }
+    return symbologyPatternCache.get(cacheKey) || color;
+}
+
+/**
+ * CSS background for an HTML swatch of a CHRS rating; hatching is
+ * approximated with gradients so swatches match the map.
+ */
+function getChrsSwatchCss(value) {
+    const color = getChrsColor(value) || String(value || '').toLowerCase();
+    const key = getChrsKey(value);
+    const pattern = symbologySettings.hatch && key ? CHRS_HATCH_PATTERNS[key] : null;
+    const line = 'rgba(0,0,0,0.55)';
+    switch (pattern) {
+        case 'diagonal':
+            return `repeating-linear-gradient(45deg, ${line} 0 1.5px, transparent 1.5px 5px), ${color}`;
+        case 'reverse-diagonal':
+            return `repeating-linear-gradient(-45deg, ${line} 0 1.5px, transparent 1.5px 5px), ${color}`;
+        case 'horizontal':
+            return `repeating-linear-gradient(0deg, ${line} 0 1.5px, transparent 1.5px 5px), ${color}`;
+        case 'vertical':
+            return `repeating-linear-gradient(90deg, ${line} 0 1.5px, transparent 1.5px 5px), ${color}`;
+        case 'cross':
+            return `repeating-linear-gradient(45deg, ${line} 0 1px, transparent 1px 5px), repeating-linear-gradient(-45deg, ${line} 0 1px, transparent 1px 5px), ${color}`;
+        case 'dots':
+            return `radial-gradient(${line} 1.2px, transparent 1.6px) 0 0 / 5px 5px, ${color}`;
+        default:
+            return color;
+    }
+}
+
+function createHatchPattern(color, pattern) {
+    const size = 8;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, size, size);
+    ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.lineWidth = 1.5;
+
+    const line = (x1, y1, x2, y2) => { ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke(); };
+    if (pattern === 'diagonal' || pattern === 'cross') {
+        // Extra segments at the corners keep the lines continuous across tiles
+        line(0, size, size, 0); line(-2, 2, 2, -2); line(size - 2, size + 2, size + 2, size - 2);
+    }
+    if (pattern === 'reverse-diagonal' || pattern === 'cross') {
+        line(0, 0, size, size); line(-2, size - 2, 2, size + 2); line(size - 2, -2, size + 2, 2);
+    }
+    if (pattern === 'horizontal') line(0, size / 2, size, size / 2);
+    if (pattern === 'vertical') line(size / 2, 0, size / 2, size);
+    if (pattern === 'dots') {
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    return ctx.createPattern(canvas, 'repeat');
+}
+
+/**
+ * Color for a decade from getDecade() ("1910s", "1940 or later", ...).
+ */
+function getDecadeColor(decade) {
+    if (!decade) return '#CCCCCC';
+    const i = SYMBOLOGY_DECADES.findIndex(d => String(decade).includes(d));
+    return i === -1 ? '#CCCCCC' : getActivePalette().decades[i];
+}
+
+/**
+ * Records the values of a category ('architect', 'style') from most to
+ * least common, so the most common ones get the palette's distinct
+ * colors instead of whatever a hash lands on.
+ */
+function rankSymbologyCategories(kind, valuesByFrequency) {
+    symbologyCategoryRanks[kind] = new Map(valuesByFrequency.map((value, i) => [value, i]));
+}
+
+/**
+ * Color for an architect or style. Ranked values take palette colors in
+ * order; rarer (or unranked) values reuse palette colors by hash.
+ */
+function getCategoryColor(kind, value) {
+    if (!value) return '#CCCCCC';
+    const colors = getActivePalette().categories;
+    const ranks = symbologyCategoryRanks[kind];
+    const rank = ranks ? ranks.get(value) : undefined;
+    if (typeof rank === 'number' && rank < colors.length) return colors[rank];
+
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) - hash) + value.charCodeAt(i);
+        hash = hash & hash;
+    }
+    return colors[Math.abs(hash) % colors.length];
+}
+
+/**
+ * Leaflet path style for a filled building in the active palette.
+ */
+function getSymbologyFillStyle(fillColor) {
+    const palette = getActivePalette();
+    return Object.assign({ fillColor, fillOpacity: palette.fillOpacity }, palette.outline);
+}